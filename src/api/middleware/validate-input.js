@@ -59,6 +59,22 @@ export function validateRequest(schema) {
   };
 }
 
+// One side of a name match - a full name string or separate fields
+const nameMatchInput = Joi.alternatives().try(
+  Joi.string().min(1).max(100),
+  Joi.object({
+    name: Joi.string().min(1).max(100),
+    first_name: Joi.string().min(1).max(50),
+    last_name: Joi.string().min(1).max(50)
+  }).or('name', 'first_name', 'last_name')
+);
+
+// Per-request phone output format, overriding the client's profile
+const phoneOutputInput = {
+  format: Joi.string().valid('international', 'e164', 'national', 'rfc3966', 'dial_from').optional(),
+  dial_from: Joi.string().length(2).optional()
+};
+
 /**
  * Predefined schemas for common validation needs
  */
@@ -80,13 +96,28 @@ export const schemas = {
     body: Joi.object({
       name: Joi.string().min(1).max(100),
       first_name: Joi.string().min(1).max(50),
-      last_name: Joi.string().min(1).max(50)
+      last_name: Joi.string().min(1).max(50),
+      // Optional culture hints, e.g. "hu-HU" or "NL"
+      locale: Joi.string().pattern(/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/).max(35).optional(),
+      country: Joi.string().length(2).optional()
     }).or('name', 'first_name', 'last_name')  // Fixed: removed array syntax
       .messages({
         'object.missing': 'Either name or first_name/last_name is required'
       })
   },
   
+  // Name match schema
+  nameMatch: {
+    body: Joi.object({
+      name1: nameMatchInput.required()
+        .messages({ 'any.required': 'name1 is required' }),
+      name2: nameMatchInput.required()
+        .messages({ 'any.required': 'name2 is required' }),
+      locale: Joi.string().pattern(/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/).max(35).optional(),
+      country: Joi.string().length(2).optional()
+    })
+  },
+  
   // Phone validation schema
   phone: {
     body: Joi.object({
@@ -95,7 +126,22 @@ export const schemas = {
           'string.empty': 'Phone number is required',
           'any.required': 'Phone number is required'
         }),
-      country: Joi.string().max(50).optional()  // Allow up to 50 characters
+      country: Joi.string().max(50).optional(),  // Allow up to 50 characters
+      ...phoneOutputInput
+    })
+  },
+  
+  // Phone extraction schema - free text that may hold several numbers
+  phoneExtract: {
+    body: Joi.object({
+      text: Joi.string().max(10000).required()
+        .messages({
+          'string.empty': 'Text is required',
+          'string.max': 'Text must be at most 10000 characters',
+          'any.required': 'Text is required'
+        }),
+      country: Joi.string().max(50).optional(),
+      ...phoneOutputInput
     })
   },
   
@@ -191,7 +237,9 @@ export const schemas = {
 export const validate = {
   email: () => validateRequest(schemas.email),
   name: () => validateRequest(schemas.name),
+  nameMatch: () => validateRequest(schemas.nameMatch),
   phone: () => validateRequest(schemas.phone),
+  phoneExtract: () => validateRequest(schemas.phoneExtract),
   address: () => validateRequest(schemas.address),
   batch: () => validateRequest(schemas.batch),
   pagination: () => validateRequest(schemas.pagination),
@@ -3,10 +3,19 @@ import express from 'express';
 import Joi from 'joi';
 import { asyncHandler } from '../middleware/error-handler.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { validate } from '../middleware/validate-input.js';
+import { validate, validateRequest } from '../middleware/validate-input.js';
 import rateLimit from '../middleware/rate-limit.js';
 import clientService from '../../services/client-service.js';
 import queueService from '../../services/queue-service.js';
+import emailValidationService from '../../services/validation/email-validation-service.js';
+import domainReputationService from '../../services/validation/domain-reputation-service.js';
+import referenceDataService from '../../services/reference-data-service.js';
+import { TRANSLITERATION_SCHEMES } from '../../services/validation/transliteration.js';
+import {
+  PHONE_NUMBER_TYPES,
+  TYPE_POLICY_DECISIONS,
+  PHONE_OUTPUT_FORMATS
+} from '../../services/validation/phone-validation-service.js';
 import db from '../../core/db.js';
 import { NotFoundError, AuthorizationError } from '../../core/errors.js';
 
@@ -25,9 +34,69 @@ const clientSchema = Joi.object({
   hubspot_portal_id: Joi.string().allow('', null),
   hubspot_form_guid: Joi.string().allow('', null),
   hubspot_webhook_secret: Joi.string().allow('', null),
+  email_role_policy: Joi.string().valid('invalid', 'warn', 'flag').allow(null),
+  email_disposable_policy: Joi.string().valid('invalid', 'warn', 'flag').allow(null),
+  email_free_policy: Joi.string().valid('invalid', 'warn', 'flag').allow(null),
+  email_typo_autocorrect_confidence: Joi.number().min(0).max(1).allow(null),
+  email_providers: Joi.array().items(Joi.string().valid('zerobounce', 'neverbounce', 'kickbox')).allow(null),
+  name_transliteration_enabled: Joi.boolean().allow(null),
+  name_transliteration_ascii: Joi.boolean().allow(null),
+  // Script -> scheme, or 'none' to leave that script untransliterated
+  name_transliteration_schemes: Joi.object(Object.fromEntries(
+    Object.entries(TRANSLITERATION_SCHEMES).map(([script, schemes]) => [script, Joi.string().valid(...schemes, 'none')])
+  )).allow(null),
+  // Number type -> accept/warn/reject
+  phone_type_policy: Joi.object(Object.fromEntries(
+    Object.keys(PHONE_NUMBER_TYPES).map(type => [type, Joi.string().valid(...TYPE_POLICY_DECISIONS)])
+  )).allow(null),
+  phone_output_format: Joi.string().valid(...PHONE_OUTPUT_FORMATS).allow(null),
+  // Country the client dials from, for the dial_from format
+  phone_dial_from_country: Joi.string().length(2).uppercase().allow(null),
   is_admin: Joi.boolean().default(false)
 });
 
+// Reference table rows by dataset/resource (see REFERENCE_TABLES in reference-data-service)
+const nameTerm = Joi.string().trim().min(1).max(50);
+const tld = Joi.string().trim().pattern(/^[a-z0-9-]{1,63}$/i);
+const referenceEntrySchemas = {
+  'name/honorifics': Joi.object({ honorific: nameTerm.required() }),
+  'name/suffixes': Joi.object({ suffix: nameTerm.required(), formatted: nameTerm.allow(null) }),
+  'name/particles': Joi.object({ particle: nameTerm.required() }),
+  'name/suspicious-names': Joi.object({ name: Joi.string().trim().min(1).max(100).required() }),
+  'name/security-patterns': Joi.object({ pattern: Joi.string().trim().min(1).max(100).required() }),
+  'name/special-cases': Joi.object({ name_typo: nameTerm.required(), name_correction: nameTerm.required() }),
+  'name/nicknames': Joi.object({ nickname: nameTerm.required(), formal_name: nameTerm.required() }),
+  'email/domain-typos': Joi.object({
+    typo_domain: Joi.string().trim().hostname().required(),
+    correct_domain: Joi.string().trim().hostname().required()
+  }),
+  'email/tld-typos': Joi.object({ typo_tld: tld.required(), correct_tld: tld.required() }),
+  'email/valid-domains': Joi.object({ domain: Joi.string().trim().hostname().required() })
+};
+
+const referenceParams = Joi.object({
+  dataset: Joi.string().valid('name', 'email').required(),
+  resource: Joi.string().required(),
+  key: Joi.string().trim().min(1).max(255)
+});
+
+// Validate a reference row against its table's schema; updates may send any subset of columns
+function validateReferenceEntry({ partial = false } = {}) {
+  return (req, res, next) => {
+    const schema = referenceEntrySchemas[`${req.params.dataset}/${req.params.resource}`];
+    
+    if (!schema) {
+      return next(new NotFoundError('Reference table', `${req.params.dataset}/${req.params.resource}`));
+    }
+    
+    const body = partial
+      ? schema.fork(Object.keys(schema.describe().keys), column => column.optional()).min(1)
+      : schema;
+    
+    return validateRequest({ body })(req, res, next);
+  };
+}
+
 // Apply authentication to all admin routes
 // Require admin privileges
 router.use(authMiddleware({ adminOnly: true }));
@@ -215,6 +284,190 @@ router.get('/db/status', asyncHandler(async (req, res) => {
   res.json(dbStatus);
 }));
 
+/**
+ * GET /api/admin/domains/reputation
+ * List learned domain reputation with pagination
+ */
+router.get('/domains/reputation',
+  validate.custom({
+    query: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+      sort: Joi.string().valid('total_count', 'valid_count', 'invalid_count', 'catch_all_count', 'last_seen_at').default('total_count'),
+      min_samples: Joi.number().integer().min(0).default(0)
+    })
+  }),
+  asyncHandler(async (req, res) => {
+    const { page, limit, sort, min_samples: minSamples } = req.query;
+    const domains = await domainReputationService.listReputation(page, limit, { sort, minSamples });
+    res.json(domains);
+  })
+);
+
+/**
+ * GET /api/admin/domains/reputation/:domain
+ * Get learned reputation for one domain
+ */
+router.get('/domains/reputation/:domain',
+  validate.custom({
+    params: Joi.object({
+      domain: Joi.string().hostname().required()
+    })
+  }),
+  asyncHandler(async (req, res) => {
+    const domain = emailValidationService.toAsciiDomain(req.params.domain);
+    const row = await domainReputationService.fetchReputation(domain);
+    
+    if (!row) {
+      throw new NotFoundError('Domain reputation', domain);
+    }
+    
+    res.json(domainReputationService.summarize(row));
+  })
+);
+
+/**
+ * POST /api/admin/domains/reputation/:domain/promote
+ * Promote a domain into valid_domains or invalid_domains
+ */
+router.post('/domains/reputation/:domain/promote',
+  validate.custom({
+    params: Joi.object({
+      domain: Joi.string().hostname().required()
+    }),
+    body: Joi.object({
+      target: Joi.string().valid('valid', 'invalid').required()
+    })
+  }),
+  asyncHandler(async (req, res) => {
+    const domain = emailValidationService.toAsciiDomain(req.params.domain);
+    const row = await domainReputationService.fetchReputation(domain);
+    
+    if (!row) {
+      throw new NotFoundError('Domain reputation', domain);
+    }
+    
+    const result = await domainReputationService.promoteDomain(domain, req.body.target);
+    
+    res.json({ success: true, ...result });
+  })
+);
+
+/**
+ * GET /api/admin/reference
+ * List the reference tables admins can edit
+ */
+router.get('/reference', asyncHandler(async (req, res) => {
+  res.json(referenceDataService.listResources());
+}));
+
+/**
+ * GET /api/admin/reference/audit
+ * Reference data change history, newest first
+ */
+router.get('/reference/audit',
+  validate.custom({
+    query: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(50),
+      dataset: Joi.string().valid('name', 'email')
+    })
+  }),
+  asyncHandler(async (req, res) => {
+    const { page, limit, dataset } = req.query;
+    const audit = await referenceDataService.listAudit(page, limit, { dataset });
+    res.json(audit);
+  })
+);
+
+/**
+ * POST /api/admin/reference/:dataset/reload
+ * Reload a dataset from the database on every instance
+ */
+router.post('/reference/:dataset/reload',
+  validate.custom({
+    params: Joi.object({
+      dataset: Joi.string().valid('name', 'email').required()
+    })
+  }),
+  asyncHandler(async (req, res) => {
+    const version = await referenceDataService.publishChange(req.params.dataset);
+    res.json({ success: true, dataset: req.params.dataset, version });
+  })
+);
+
+/**
+ * GET /api/admin/reference/:dataset/:resource
+ * List rows of a reference table with pagination
+ */
+router.get('/reference/:dataset/:resource',
+  validate.custom({
+    params: referenceParams,
+    query: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(50),
+      search: Joi.string().trim().max(100)
+    })
+  }),
+  asyncHandler(async (req, res) => {
+    const { dataset, resource } = req.params;
+    const { page, limit, search } = req.query;
+    const entries = await referenceDataService.listEntries(dataset, resource, page, limit, { search });
+    res.json(entries);
+  })
+);
+
+/**
+ * POST /api/admin/reference/:dataset/:resource
+ * Add a row to a reference table
+ */
+router.post('/reference/:dataset/:resource',
+  validate.custom({ params: referenceParams }),
+  validateReferenceEntry(),
+  asyncHandler(async (req, res) => {
+    const { dataset, resource } = req.params;
+    const entry = await referenceDataService.createEntry(dataset, resource, req.body, req.clientId);
+    res.status(201).json(entry);
+  })
+);
+
+/**
+ * PUT /api/admin/reference/:dataset/:resource/:key
+ * Update a reference row (nicknames need ?formal_name= to pick one mapping)
+ */
+router.put('/reference/:dataset/:resource/:key',
+  validate.custom({
+    params: referenceParams,
+    query: Joi.object({ formal_name: Joi.string().trim().max(50) })
+  }),
+  validateReferenceEntry({ partial: true }),
+  asyncHandler(async (req, res) => {
+    const { dataset, resource, key } = req.params;
+    const entry = await referenceDataService.updateEntry(
+      dataset, resource, key, req.body, req.clientId, req.query.formal_name
+    );
+    res.json(entry);
+  })
+);
+
+/**
+ * DELETE /api/admin/reference/:dataset/:resource/:key
+ * Remove a reference row (nicknames need ?formal_name= to remove one mapping)
+ */
+router.delete('/reference/:dataset/:resource/:key',
+  validate.custom({
+    params: referenceParams,
+    query: Joi.object({ formal_name: Joi.string().trim().max(50) })
+  }),
+  asyncHandler(async (req, res) => {
+    const { dataset, resource, key } = req.params;
+    const result = await referenceDataService.deleteEntry(
+      dataset, resource, key, req.clientId, req.query.formal_name
+    );
+    res.json({ success: true, ...result });
+  })
+);
+
 /**
  * POST /api/admin/reset-rate-limits
  * Manually reset rate limits for a client
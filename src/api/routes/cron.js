@@ -4,6 +4,7 @@ import { asyncHandler } from '../middleware/error-handler.js';
 import { config } from '../../core/config.js';
 import { createServiceLogger } from '../../core/logger.js';
 import clientService from '../../services/client-service.js';
+import emailValidationService from '../../services/validation/email-validation-service.js';
 import db from '../../core/db.js';
 import { triggerAlert, ALERT_TYPES } from '../../monitoring/alerts.js';
 
@@ -176,6 +177,35 @@ router.get('/reset-limits',
   })
 );
 
+/**
+ * GET /api/cron/email-reverify
+ * Re-verify aging entries in the email_validations cache
+ */
+router.get('/email-reverify',
+  secureCronEndpoint,
+  asyncHandler(async (req, res) => {
+    try {
+      logger.info('Starting scheduled email cache re-verification');
+      
+      const reverifyConfig = config.validation.email.reverify;
+      const result = await emailValidationService.reverifyCachedEmails({
+        batchSize: parseInt(req.query.limit) || reverifyConfig.batchSize,
+        timeBudget: parseInt(req.query.budget) || reverifyConfig.timeBudget,
+        afterDays: parseInt(req.query.days) || reverifyConfig.afterDays
+      });
+      
+      return res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error in scheduled email cache re-verification', error);
+      throw error;
+    }
+  })
+);
+
 /**
  * GET /api/cron/clean-old-logs
  * Clean up old log entries and metrics
@@ -14,6 +14,9 @@ const logger = createServiceLogger('hubspot-webhook');
 
 const router = express.Router();
 
+// Contact properties whose change means the name has to be classified again
+const NAME_PROPERTIES = ['firstname', 'lastname'];
+
 /**
  * Verify HubSpot webhook signature
  * @param {Object} req - Express request object
@@ -143,14 +146,21 @@ async function fetchContactData(contactId, apiKey) {
       // Unmessy processed fields
       'um_email', 'um_first_name', 'um_last_name',
       'um_email_status', 'um_bounce_status', 'um_name_status',
+      'um_email_catch_all', 'um_email_canonical', 'um_email_score',
+      'um_email_domain_type', 'um_company_domain',
+      'um_inferred_first_name', 'um_inferred_last_name', 'um_inferred_name_status',
+      'um_formal_first_name', 'um_first_name_variants', 'um_name_latin',
+      'um_name_type', 'um_company_name',
       
       // Unmessy phone fields
       'um_phone1', 'um_phone1_status', 'um_phone1_format',
       'um_phone1_country_code', 'um_phone1_is_mobile',
       'um_phone1_country', 'um_phone1_area_code', 'um_phone1_area',
+      'um_phone1_extension', 'um_phone1_type',
       'um_phone2', 'um_phone2_status', 'um_phone2_format',
       'um_phone2_country_code', 'um_phone2_is_mobile',
       'um_phone2_country', 'um_phone2_area_code', 'um_phone2_area',
+      'um_phone2_extension', 'um_phone2_type',
       
       // Unmessy address fields
       'um_house_number', 'um_street_name', 'um_street_type', 
@@ -258,6 +268,8 @@ function extractPhoneData(contact) {
     um_phone1_country: props.um_phone1_country || null,
     um_phone1_area_code: props.um_phone1_area_code || null,
     um_phone1_area: props.um_phone1_area || null,
+    um_phone1_extension: props.um_phone1_extension || null,
+    um_phone1_type: props.um_phone1_type || null,
     
     um_phone2: props.um_phone2 || null,
     um_phone2_status: props.um_phone2_status || null,
@@ -266,7 +278,9 @@ function extractPhoneData(contact) {
     um_phone2_is_mobile: props.um_phone2_is_mobile || null,
     um_phone2_country: props.um_phone2_country || null,
     um_phone2_area_code: props.um_phone2_area_code || null,
-    um_phone2_area: props.um_phone2_area || null
+    um_phone2_area: props.um_phone2_area || null,
+    um_phone2_extension: props.um_phone2_extension || null,
+    um_phone2_type: props.um_phone2_type || null
   };
 }
 
@@ -423,6 +437,9 @@ async function processWebhookEvent(event, req) {
       hasProcessedPhone: !!(phoneData.um_phone1_status || phoneData.um_phone2_status)
     });
 
+    const nameChanged = event.subscriptionType === 'contact.propertyChange' &&
+      NAME_PROPERTIES.includes(event.propertyName);
+    
     // Create enriched event with all necessary fields
     const enrichedEvent = {
       event_id: event.eventId,
@@ -456,10 +473,20 @@ async function processWebhookEvent(event, req) {
          !contact.properties?.um_bounce_status)),
       
       needs_name_validation: !!(
-        (contact.properties?.firstname || contact.properties?.lastname) &&
-        (!contact.properties?.um_first_name || 
-         !contact.properties?.um_last_name ||
-         !contact.properties?.um_name_status)
+        ((contact.properties?.firstname || contact.properties?.lastname) &&
+         // The name itself changed - classify it again, whatever the last verdict was
+         (nameChanged ||
+          // Already recognised as a company or department - the person fields stay empty
+          (!contact.properties?.um_name_type &&
+           (!contact.properties?.um_first_name || 
+            !contact.properties?.um_last_name ||
+            !contact.properties?.um_name_status)))) ||
+        // No name at all - we can still infer one from the email, once
+        (!contact.properties?.firstname && !contact.properties?.lastname &&
+         contact.properties?.email &&
+         !contact.properties?.um_inferred_name_status &&
+         !contact.properties?.um_inferred_first_name &&
+         !contact.properties?.um_inferred_last_name)
       ),
       
       needs_phone_validation: needsPhoneValidation,
@@ -140,7 +140,7 @@ router.post('/name',
     
     try {
       // Get name from request (either full name or first/last)
-      const { name, first_name, last_name } = req.body;
+      const { name, first_name, last_name, locale, country } = req.body;
       
       // Check rate limit
       const rateLimitCheck = await clientService.checkRateLimit(clientId, 'name');
@@ -162,9 +162,9 @@ router.post('/name',
       
       // Validate name (either full name or separate first/last)
       if (name) {
-        validationResult = await validationService.validateFullName(name, { clientId });
+        validationResult = await validationService.validateFullName(name, { clientId, locale, country });
       } else if (first_name || last_name) {
-        validationResult = await validationService.validateSeparateNames(first_name, last_name, { clientId });
+        validationResult = await validationService.validateSeparateNames(first_name, last_name, { clientId, locale, country });
       } else {
         throw new ValidationError('Either name or first_name/last_name is required');
       }
@@ -237,6 +237,53 @@ router.post('/name',
   })
 );
 
+/**
+ * Name match endpoint
+ * Scores how likely two names belong to the same person, component by component
+ */
+router.post('/name/match',
+  authMiddleware(),
+  validate.nameMatch(),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const { clientId } = req;
+    const { name1, name2, locale, country } = req.body;
+    
+    try {
+      // Check rate limit - a comparison counts as one name request
+      const rateLimitCheck = await clientService.checkRateLimit(clientId, 'name');
+      if (!rateLimitCheck.allowed) {
+        throw new RateLimitError('name', 
+          rateLimitCheck.limit, 
+          rateLimitCheck.limit - rateLimitCheck.remaining, 
+          rateLimitCheck.remaining
+        );
+      }
+      
+      const matchResult = validationService.matchNames(name1, name2, { locale, country });
+      
+      await clientService.incrementUsage(clientId, 'name');
+      
+      const responseTime = Date.now() - startTime;
+      await clientService.recordValidationMetric(clientId, 'name', true, responseTime, null);
+      
+      logger.info('Name match completed', {
+        clientId,
+        score: matchResult.score,
+        matchLevel: matchResult.matchLevel,
+        responseTime: `${responseTime}ms`
+      });
+      
+      return res.status(200).json(matchResult);
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      await clientService.recordValidationMetric(clientId, 'name', false, responseTime, 'internal');
+      
+      throw error;
+    }
+  })
+);
+
 /**
  * Phone validation endpoint
  * Validates phone numbers with international formatting
@@ -252,7 +299,7 @@ router.post('/phone',
     
     try {
       // Get phone number from request
-      const { phone, country } = req.body;
+      const { phone, country, format, dial_from: dialFrom } = req.body;
       
       // Check rate limit
       const rateLimitCheck = await clientService.checkRateLimit(clientId, 'phone');
@@ -275,7 +322,8 @@ router.post('/phone',
       // Validate phone number
       validationResult = await validationService.validatePhone(phone, {
         clientId,
-        country: country || config.validation.phone.defaultCountry
+        country: country || config.validation.phone.defaultCountry,
+        outputFormat: { format, dialFrom }
       });
       
       // Increment usage count
@@ -346,6 +394,67 @@ router.post('/phone',
   })
 );
 
+/**
+ * Phone extraction endpoint
+ * Finds every phone number in free text and validates each one
+ */
+router.post('/phone/extract',
+  authMiddleware(),
+  validate.phoneExtract(),
+  asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const { clientId } = req;
+    const { text, format, dial_from: dialFrom } = req.body;
+    const country = req.body.country || config.validation.phone.defaultCountry;
+    
+    try {
+      // Each number found counts as one phone validation
+      const found = validationService.findPhoneNumbers(text, { country }).length;
+      const count = Math.min(found, config.validation.phone.textExtraction.maxNumbers);
+      
+      const rateLimitCheck = await clientService.checkRateLimit(clientId, 'phone', Math.max(count, 1));
+      if (!rateLimitCheck.allowed) {
+        throw new RateLimitError('phone', 
+          rateLimitCheck.limit, 
+          rateLimitCheck.limit - rateLimitCheck.remaining, 
+          rateLimitCheck.remaining
+        );
+      }
+      
+      const numbers = await validationService.extractPhoneNumbers(text, {
+        clientId,
+        country,
+        outputFormat: { format, dialFrom }
+      });
+      
+      if (numbers.length > 0) {
+        await clientService.incrementUsage(clientId, 'phone', numbers.length);
+      }
+      
+      const responseTime = Date.now() - startTime;
+      await clientService.recordValidationMetric(clientId, 'phone', true, responseTime, null);
+      
+      logger.info('Phone extraction completed', {
+        clientId,
+        found,
+        valid: numbers.filter(n => n.valid).length,
+        responseTime: `${responseTime}ms`
+      });
+      
+      return res.status(200).json({
+        count: numbers.length,
+        truncated: found > numbers.length,
+        numbers
+      });
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      await clientService.recordValidationMetric(clientId, 'phone', false, responseTime, 'internal');
+      
+      throw error;
+    }
+  })
+);
+
 /**
  * Address validation endpoint
  * Validates and standardizes addresses
@@ -686,13 +795,25 @@ router.get('/field-mappings',
           'um_email',
           'um_email_status',
           'um_bounce_status',
+          'um_email_canonical',
+          'um_email_score',
+          'um_email_domain_type',
+          'um_company_domain',
+          'um_email_ascii',
+          'is_idn_domain',
+          'requires_smtputf8',
+          'um_email_catch_all',
+          'is_role_account',
+          'is_disposable',
+          'is_free_provider',
+          'did_you_mean',
           'date_last_um_check',
           'date_last_um_check_epoch',
           'um_check_id'
         ]
       },
       name: {
-        input: ['name', 'first_name', 'last_name'],
+        input: ['name', 'first_name', 'last_name', 'locale', 'country'],
         output: [
           'um_first_name',
           'um_last_name',
@@ -701,18 +822,29 @@ router.get('/field-mappings',
           'um_name_status',
           'um_name_format',
           'um_honorific',
-          'um_suffix'
+          'um_suffix',
+          'name_order',
+          'um_formal_first_name',
+          'um_first_name_variants',
+          'um_name_latin',
+          'name_type',
+          'um_company_name',
+          'um_inferred_first_name',
+          'um_inferred_last_name',
+          'um_inferred_name_status'
         ]
       },
       phone: {
-        input: ['phone', 'country'],
+        input: ['phone', 'country', 'format', 'dial_from'],
         output: [
           'um_phone',
           'um_phone_status',
           'um_phone_format',
           'um_phone_country_code',
           'um_phone_country',
-          'um_phone_is_mobile'
+          'um_phone_is_mobile',
+          'um_phone_extension',
+          'um_phone_type'
         ]
       },
       address: {
@@ -20,6 +20,11 @@ const parseInteger = (value, defaultValue = 0) => {
   return isNaN(parsed) ? defaultValue : parsed;
 };
 
+const parseDecimal = (value, defaultValue = 0) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+};
+
 const getOptional = (envVar, defaultValue = '') => {
   return process.env[envVar] || defaultValue;
 };
@@ -136,6 +141,34 @@ export const config = {
       retries: parseInteger(process.env.ZEROBOUNCE_RETRIES, 2),
       enabled: parseBoolean(process.env.ZEROBOUNCE_ENABLED, true)
     },
+    neverBounce: {
+      apiKey: getOptional('NEVERBOUNCE_API_KEY'),
+      baseUrl: getOptional('NEVERBOUNCE_BASE_URL', 'https://api.neverbounce.com/v4'),
+      timeout: parseInteger(process.env.NEVERBOUNCE_TIMEOUT, 10000),
+      enabled: parseBoolean(process.env.NEVERBOUNCE_ENABLED, false)
+    },
+    kickbox: {
+      apiKey: getOptional('KICKBOX_API_KEY'),
+      baseUrl: getOptional('KICKBOX_BASE_URL', 'https://api.kickbox.com/v2'),
+      timeout: parseInteger(process.env.KICKBOX_TIMEOUT, 10000),
+      enabled: parseBoolean(process.env.KICKBOX_ENABLED, false)
+    },
+    // Ordered fallback chain of email verification providers
+    emailProviders: {
+      chain: getOptional('EMAIL_PROVIDER_CHAIN', 'zerobounce').split(',').map(p => p.trim()).filter(Boolean)
+    },
+    smtpProbe: {
+      enabled: parseBoolean(process.env.SMTP_PROBE_ENABLED, false),
+      port: parseInteger(process.env.SMTP_PROBE_PORT, 25),
+      heloHost: getOptional('SMTP_PROBE_HELO_HOST', 'verify.unmessy.com'),
+      mailFrom: getOptional('SMTP_PROBE_MAIL_FROM', 'verify@unmessy.com'),
+      connectTimeout: parseInteger(process.env.SMTP_PROBE_CONNECT_TIMEOUT, 5000),
+      commandTimeout: parseInteger(process.env.SMTP_PROBE_COMMAND_TIMEOUT, 8000),
+      maxConnectionsPerMx: parseInteger(process.env.SMTP_PROBE_MAX_CONNECTIONS_PER_MX, 2),
+      greylistRetries: parseInteger(process.env.SMTP_PROBE_GREYLIST_RETRIES, 0),
+      greylistRetryDelay: parseInteger(process.env.SMTP_PROBE_GREYLIST_RETRY_DELAY, 3000), // 3 seconds
+      greylistBackoff: parseInteger(process.env.SMTP_PROBE_GREYLIST_BACKOFF, 900000) // 15 minutes
+    },
     openCage: {
       apiKey: getOptional('OPENCAGE_API_KEY'),
       baseUrl: getOptional('OPENCAGE_BASE_URL', 'https://api.opencagedata.com/geocode/v1'),
@@ -204,10 +237,19 @@ export const config = {
       },
       resetLimits: {
         schedule: getOptional('CRON_RESET_LIMITS_SCHEDULE', '0 0 * * *') // Every day at midnight
+      },
+      emailReverify: {
+        schedule: getOptional('CRON_EMAIL_REVERIFY_SCHEDULE', '0 3 * * *') // Every day at 3am
       }
     }
   },
   
+  // Admin-managed reference tables (name and email lists)
+  referenceData: {
+    // How often an instance checks whether another instance changed a table (ms)
+    reloadCheckInterval: parseInteger(process.env.REFERENCE_RELOAD_CHECK_INTERVAL, 60000)
+  },
+  
   // Unmessy Specific
   unmessy: {
     version: getOptional('UNMESSY_VERSION', '2.0.0'),
@@ -231,18 +273,93 @@ export const config = {
   validation: {
     email: {
       maxLength: parseInteger(process.env.EMAIL_MAX_LENGTH, 320),
-      removeGmailAliases: parseBoolean(process.env.REMOVE_GMAIL_ALIASES, true),
-      checkMxRecords: parseBoolean(process.env.CHECK_MX_RECORDS, false)
+      checkMxRecords: parseBoolean(process.env.CHECK_MX_RECORDS, false),
+      // SPF / DMARC / MTA-STS lookups alongside MX checks
+      checkMailAuth: parseBoolean(process.env.CHECK_MAIL_AUTH, true),
+      detectCatchAll: parseBoolean(process.env.DETECT_CATCH_ALL, true),
+      catchAllTtl: parseInteger(process.env.CATCH_ALL_TTL, 604800000), // 7 days
+      // Fuzzy domain typo matching (0-1 confidence)
+      typoSuggestionConfidence: parseDecimal(process.env.EMAIL_TYPO_SUGGESTION_CONFIDENCE, 0.8),
+      typoAutoCorrectConfidence: parseDecimal(process.env.EMAIL_TYPO_AUTOCORRECT_CONFIDENCE, 0.9),
+      typoMaxDistance: parseDecimal(process.env.EMAIL_TYPO_MAX_DISTANCE, 2),
+      // Maximum age (days) of a cached "valid" email before it needs a recheck, per account type
+      cacheMaxAgeDays: {
+        basic: parseInteger(process.env.EMAIL_CACHE_MAX_AGE_BASIC, 180),
+        premium: parseInteger(process.env.EMAIL_CACHE_MAX_AGE_PREMIUM, 90),
+        enterprise: parseInteger(process.env.EMAIL_CACHE_MAX_AGE_ENTERPRISE, 30),
+        default: parseInteger(process.env.EMAIL_CACHE_MAX_AGE_DEFAULT, 180)
+      },
+      // Background re-verification of aging cache entries
+      reverify: {
+        afterDays: parseInteger(process.env.EMAIL_REVERIFY_AFTER_DAYS, 30),
+        batchSize: parseInteger(process.env.EMAIL_REVERIFY_BATCH_SIZE, 50),
+        timeBudget: parseInteger(process.env.EMAIL_REVERIFY_TIME_BUDGET, 240000) // 4 minutes
+      },
+      // Learned per-domain statistics from provider verdicts
+      domainReputation: {
+        enabled: parseBoolean(process.env.DOMAIN_REPUTATION_ENABLED, true),
+        minSamples: parseInteger(process.env.DOMAIN_REPUTATION_MIN_SAMPLES, 20),
+        likelyValidRate: parseDecimal(process.env.DOMAIN_REPUTATION_VALID_RATE, 0.9),
+        likelyInvalidRate: parseDecimal(process.env.DOMAIN_REPUTATION_INVALID_RATE, 0.7),
+        catchAllRate: parseDecimal(process.env.DOMAIN_REPUTATION_CATCH_ALL_RATE, 0.8)
+      },
+      // Default policy per classification flag ('invalid', 'warn' or 'flag'), overridable per client -
+      // free providers are only flagged, as most real sign-ups use one
+      classificationPolicy: {
+        roleAccount: getOptional('EMAIL_ROLE_POLICY', 'warn'),
+        disposable: getOptional('EMAIL_DISPOSABLE_POLICY', 'invalid'),
+        freeProvider: getOptional('EMAIL_FREE_POLICY', 'flag')
+      }
     },
     name: {
       maxLength: parseInteger(process.env.NAME_MAX_LENGTH, 100),
       allowNumbers: parseBoolean(process.env.NAME_ALLOW_NUMBERS, false),
-      detectScript: parseBoolean(process.env.NAME_DETECT_SCRIPT, true)
+      detectScript: parseBoolean(process.env.NAME_DETECT_SCRIPT, true),
+      // Gibberish score (0-1) above which a name is likely_gibberish, and above which confidence drops
+      gibberishThreshold: parseDecimal(process.env.NAME_GIBBERISH_THRESHOLD, 0.7),
+      gibberishWarnThreshold: parseDecimal(process.env.NAME_GIBBERISH_WARN_THRESHOLD, 0.4),
+      // /name/match score bands
+      matchThreshold: parseDecimal(process.env.NAME_MATCH_THRESHOLD, 0.85),
+      possibleMatchThreshold: parseDecimal(process.env.NAME_POSSIBLE_MATCH_THRESHOLD, 0.65),
+      // um_name_latin - clients can override each setting and the per-script schemes
+      transliteration: {
+        enabled: parseBoolean(process.env.NAME_TRANSLITERATION, true),
+        ascii: parseBoolean(process.env.NAME_TRANSLITERATION_ASCII, true)
+      }
     },
     phone: {
       defaultCountry: getOptional('PHONE_DEFAULT_COUNTRY', 'US'),
       validateCarrier: parseBoolean(process.env.PHONE_VALIDATE_CARRIER, true),
-      formatE164: parseBoolean(process.env.PHONE_FORMAT_E164, true)
+      formatE164: parseBoolean(process.env.PHONE_FORMAT_E164, true),
+      // Default accept/warn/reject per number type; clients override it with phone_type_policy
+      // Short codes warn by default - SMS and service codes rarely belong in a contact record
+      typePolicy: {
+        PREMIUM_RATE: getOptional('PHONE_POLICY_PREMIUM_RATE', 'accept'),
+        SHARED_COST: getOptional('PHONE_POLICY_SHARED_COST', 'accept'),
+        VOIP: getOptional('PHONE_POLICY_VOIP', 'accept'),
+        PAGER: getOptional('PHONE_POLICY_PAGER', 'accept'),
+        SHORT_CODE: getOptional('PHONE_POLICY_SHORT_CODE', 'warn')
+      },
+      // Default um_phone format (international, e164, national, rfc3966, dial_from);
+      // clients override it with phone_output_format / phone_dial_from_country
+      outputFormat: getOptional('PHONE_OUTPUT_FORMAT', 'international'),
+      dialFromCountry: getOptional('PHONE_DIAL_FROM_COUNTRY', null),
+      // Longest extension accepted (digits) - longer ones are reported but not rendered
+      extensionMaxLength: parseInteger(process.env.PHONE_EXTENSION_MAX_LENGTH, 6),
+      // Carrier, region and timezone from libphonenumber's bundled prefix data (no API calls)
+      offlineEnrichment: {
+        enabled: parseBoolean(process.env.PHONE_OFFLINE_ENRICHMENT, true),
+        locale: getOptional('PHONE_ENRICHMENT_LOCALE', 'en')
+      },
+      // Finding several numbers inside one text value
+      textExtraction: {
+        // Queue: split HubSpot phone fields into every number they contain
+        enabled: parseBoolean(process.env.PHONE_TEXT_EXTRACTION, false),
+        // Extra HubSpot properties to scan for numbers (comma-separated)
+        fields: getOptional('PHONE_TEXT_FIELDS', '').split(',').map(f => f.trim()).filter(Boolean),
+        // Numbers per text for /phone/extract - the queue also stops at um_phone2
+        maxNumbers: parseInteger(process.env.PHONE_TEXT_MAX_NUMBERS, 20)
+      }
     },
     address: {
       defaultCountry: getOptional('ADDRESS_DEFAULT_COUNTRY', 'US'),
@@ -294,6 +411,10 @@ export function validateConfig() {
     clientsConfigured: clients.size,
     externalServices: {
       zeroBounce: config.services.zeroBounce.enabled,
+      neverBounce: config.services.neverBounce.enabled,
+      kickbox: config.services.kickbox.enabled,
+      emailProviderChain: config.services.emailProviders.chain.join(','),
+      smtpProbe: config.services.smtpProbe.enabled,
       openCage: config.services.openCage.enabled,
       numverify: config.services.numverify.enabled
     },
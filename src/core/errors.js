@@ -136,6 +136,39 @@ export class ZeroBounceError extends ExternalServiceError {
   }
 }
 
+/**
+ * NeverBounce specific error with error code support
+ */
+export class NeverBounceError extends ExternalServiceError {
+  constructor(message, statusCode = 502, code = null) {
+    super('NeverBounce', message, statusCode);
+    this.name = 'NeverBounceError';
+    this.code = code;
+  }
+}
+
+/**
+ * Kickbox specific error with error code support
+ */
+export class KickboxError extends ExternalServiceError {
+  constructor(message, statusCode = 502, code = null) {
+    super('Kickbox', message, statusCode);
+    this.name = 'KickboxError';
+    this.code = code;
+  }
+}
+
+/**
+ * SMTP probe error - connection or protocol failures while probing a mailbox
+ */
+export class SmtpError extends ExternalServiceError {
+  constructor(message, statusCode = 502, code = null) {
+    super('SMTP', message, statusCode);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
 /**
  * HubSpot specific error
  */
@@ -472,6 +505,9 @@ export default {
   RateLimitError,
   ExternalServiceError,
   ZeroBounceError,
+  NeverBounceError,
+  KickboxError,
+  SmtpError,
   HubSpotError,
   OpenCageError,
   TwilioError,
@@ -90,8 +90,15 @@ async function checkEssentialTables() {
     'email_validations',
     'valid_domains',
     'invalid_domains',
+    'catch_all_domains',
+    'domain_reputation',
+    'role_accounts',
+    'disposable_domains',
+    'free_email_providers',
     'domain_typos',
     'valid_tlds',
+    'reference_data_audit',
+    'reference_data_versions',
     'hubspot_webhook_queue'
   ];
   
@@ -280,10 +280,12 @@ class ClientService {
   // Increment usage counter (atomic operation)
   async incrementUsage(clientId, validationType, count = 1) {
     try {
-      // Use the database function via RPC
+      // Use the database function via RPC - p_count (default 1) takes a whole batch in one
+      // atomic call, so a batch is either counted in full or not at all
       const result = await db.rpc('decrement_validation_count', {
         p_client_id: clientId,
-        p_validation_type: validationType
+        p_validation_type: validationType,
+        ...(count !== 1 && { p_count: count })
       });
       
       // The function returns the remaining count or -1 on error
@@ -292,12 +294,14 @@ class ClientService {
       if (remaining === -1) {
         this.logger.warn('Failed to decrement rate limit', {
           clientId,
-          validationType
+          validationType,
+          count
         });
       } else {
         this.logger.debug('Usage incremented', {
           clientId,
           validationType,
+          count,
           remaining
         });
       }
@@ -475,7 +479,12 @@ class ClientService {
         'name', 'active', 'daily_email_limit', 'daily_name_limit',
         'daily_phone_limit', 'daily_address_limit', 'um_account_type',
         'hubspot_enabled', 'hubspot_private_key', 'hubspot_portal_id',
-        'hubspot_form_guid', 'hubspot_webhook_secret'
+        'hubspot_form_guid', 'hubspot_webhook_secret',
+        'email_role_policy', 'email_disposable_policy', 'email_free_policy',
+        'email_typo_autocorrect_confidence', 'email_providers',
+        'name_transliteration_enabled', 'name_transliteration_ascii',
+        'name_transliteration_schemes', 'phone_type_policy',
+        'phone_output_format', 'phone_dial_from_country'
       ];
       
       // Filter out any disallowed fields
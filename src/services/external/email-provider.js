@@ -0,0 +1,140 @@
+// src/services/external/email-provider.js
+import CircuitBreaker from 'opossum';
+import { createServiceLogger } from '../../core/logger.js';
+
+// Normalized provider statuses (ZeroBounce vocabulary, which the rest of the service already speaks)
+export const PROVIDER_STATUSES = [
+  'valid',
+  'invalid',
+  'catch-all',
+  'unknown',
+  'spamtrap',
+  'abuse',
+  'do_not_mail'
+];
+
+/**
+ * Base class for email verification providers
+ *
+ * Providers implement `isEnabled()`, `request(email, options)` and
+ * `normalize(raw, email)`. Callers only use `verify()`, which returns
+ * a normalized result no matter which vendor answered:
+ *
+ *   { provider, email, status, subStatus, didYouMean, freeEmail,
+ *     disposable, roleAccount, mxFound, mxRecord, smtpProvider, raw }
+ */
+class EmailVerificationProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.logger = options.logger || createServiceLogger(name);
+    
+    // Circuit breaker around the vendor request, unless the provider manages its own
+    this.wrapInBreaker = options.circuitBreaker !== false;
+    if (this.wrapInBreaker) {
+      this.circuitBreaker = new CircuitBreaker((email, options) => this.request(email, options), {
+        name,
+        timeout: options.breakerTimeout || 15000,
+        errorThresholdPercentage: 50,
+        resetTimeout: 60000,
+        volumeThreshold: 5,
+        rollingCountTimeout: 10000,
+        rollingCountBuckets: 10,
+        // Don't count client errors (bad input, no credits) towards tripping the circuit
+        errorFilter: (err) => !!(err && err.statusCode && err.statusCode >= 400 && err.statusCode < 500)
+      });
+      
+      this.circuitBreaker.on('open', () => {
+        this.logger.warn(`${name} circuit breaker opened`);
+      });
+      
+      this.circuitBreaker.on('close', () => {
+        this.logger.info(`${name} circuit breaker closed, service recovered`);
+      });
+    }
+  }
+  
+  // Whether the provider is configured and switched on
+  isEnabled() {
+    return false;
+  }
+  
+  // Whether the provider can take a request right now
+  isAvailable() {
+    if (!this.isEnabled()) {
+      return false;
+    }
+    
+    return !(this.circuitBreaker && this.circuitBreaker.opened);
+  }
+  
+  // Vendor API call - implemented by each provider
+  async request() {
+    throw new Error(`${this.name} provider does not implement request()`);
+  }
+  
+  // Map the vendor response to the normalized shape - implemented by each provider
+  normalize() {
+    throw new Error(`${this.name} provider does not implement normalize()`);
+  }
+  
+  // Verify an email and return the normalized result
+  async verify(email, options = {}) {
+    const raw = this.wrapInBreaker
+      ? await this.circuitBreaker.fire(email, options)
+      : await this.request(email, options);
+    
+    const result = this.normalize(raw, email);
+    
+    if (!PROVIDER_STATUSES.includes(result.status)) {
+      this.logger.warn('Provider returned an unmapped status', {
+        provider: this.name,
+        status: result.status
+      });
+      result.status = 'unknown';
+    }
+    
+    return {
+      provider: this.name,
+      email,
+      subStatus: null,
+      didYouMean: null,
+      freeEmail: null,
+      disposable: null,
+      roleAccount: null,
+      mxFound: null,
+      mxRecord: null,
+      smtpProvider: null,
+      ...result
+    };
+  }
+  
+  // Whether an error means the account has run out of credits
+  isCreditError(error) {
+    if (!error) return false;
+    if (error.code === 'insufficient_credits') return true;
+    
+    const message = (error.message || '').toLowerCase();
+    return (message.includes('insufficient') || message.includes('out of')) &&
+           (message.includes('credit') || message.includes('balance'));
+  }
+  
+  // Get circuit breaker state
+  getCircuitBreakerState() {
+    if (!this.circuitBreaker) {
+      return { state: 'none' };
+    }
+    
+    return {
+      state: this.circuitBreaker.opened ? 'open' : (this.circuitBreaker.halfOpen ? 'halfOpen' : 'closed'),
+      stats: {
+        successes: this.circuitBreaker.stats.successes,
+        failures: this.circuitBreaker.stats.failures,
+        rejects: this.circuitBreaker.stats.rejects,
+        timeouts: this.circuitBreaker.stats.timeouts
+      }
+    };
+  }
+}
+
+export { EmailVerificationProvider };
+export default EmailVerificationProvider;
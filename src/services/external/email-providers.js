@@ -0,0 +1,44 @@
+// src/services/external/email-providers.js
+import { config } from '../../core/config.js';
+import { zeroBounceService } from './zerobounce.js';
+import { neverBounceService } from './neverbounce.js';
+import { kickboxService } from './kickbox.js';
+
+// Registry of email verification providers by name
+const emailProviders = new Map([
+  [zeroBounceService.name, zeroBounceService],
+  [neverBounceService.name, neverBounceService],
+  [kickboxService.name, kickboxService]
+]);
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider instance
+ */
+export function getEmailProvider(name) {
+  return emailProviders.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Resolve the ordered provider chain
+ * @param {Array|string|null} selection - Per-client selection (array or comma-separated list)
+ * @returns {Array<string>} Known provider names in order
+ */
+export function resolveProviderChain(selection = null) {
+  let names = selection;
+  
+  if (typeof names === 'string') {
+    names = names.split(',');
+  }
+  
+  if (!Array.isArray(names) || names.length === 0) {
+    names = config.services.emailProviders.chain;
+  }
+  
+  return [...new Set(names.map(n => String(n).trim().toLowerCase()))]
+    .filter(name => emailProviders.has(name));
+}
+
+export { emailProviders };
+export default emailProviders;
@@ -0,0 +1,170 @@
+// src/services/external/kickbox.js
+import axios from 'axios';
+import { config } from '../../core/config.js';
+import { createServiceLogger } from '../../core/logger.js';
+import { KickboxError } from '../../core/errors.js';
+import { EmailVerificationProvider } from './email-provider.js';
+
+const logger = createServiceLogger('kickbox');
+
+// Kickbox "reason" codes -> ZeroBounce sub status (reasons ZeroBounce has no equivalent for map to null)
+const REASON_SUB_STATUS_MAP = {
+  accepted_email: null,
+  rejected_email: 'mailbox_not_found',
+  invalid_email: 'failed_syntax_check',
+  invalid_domain: 'no_dns_entries',
+  invalid_smtp: 'mail_server_temporary_error',
+  low_quality: null,
+  low_deliverability: null,
+  no_connect: 'failed_smtp_connection',
+  timeout: 'timeout_exceeded',
+  unavailable_smtp: 'mail_server_did_not_respond',
+  unexpected_error: 'exception_occurred'
+};
+
+class KickboxService extends EmailVerificationProvider {
+  constructor() {
+    super('kickbox', { logger });
+    this.baseUrl = config.services.kickbox.baseUrl;
+    this.apiKey = config.services.kickbox.apiKey;
+    this.timeout = config.services.kickbox.timeout || 10000;
+    
+    // Balance is reported on every response
+    this.lastBalance = null;
+    
+    this.logger.info('Kickbox service initialized', {
+      baseUrl: this.baseUrl,
+      apiKeyConfigured: !!this.apiKey,
+      enabled: config.services.kickbox.enabled
+    });
+  }
+  
+  /**
+   * Check if Kickbox is enabled and configured
+   */
+  isEnabled() {
+    return !!config.services.kickbox.enabled && !!this.apiKey;
+  }
+  
+  /**
+   * Call the Kickbox verify endpoint
+   * @param {string} email - Email to verify
+   * @returns {Promise<Object>} Raw Kickbox response
+   */
+  async request(email) {
+    if (!this.isEnabled()) {
+      throw new KickboxError('Kickbox service is not enabled', 503);
+    }
+    
+    try {
+      const response = await axios.get(`${this.baseUrl}/verify`, {
+        params: {
+          email,
+          apikey: this.apiKey,
+          timeout: Math.max(this.timeout - 1000, 3000)
+        },
+        timeout: this.timeout,
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Unmessy-API/2.0'
+        }
+      });
+      
+      const balance = response.headers?.['x-kickbox-balance'];
+      if (balance !== undefined) {
+        this.lastBalance = parseInt(balance, 10);
+      }
+      
+      if (!response.data || response.data.success === false) {
+        throw new KickboxError(response.data?.message || 'Unexpected response from Kickbox', 502);
+      }
+      
+      this.logger.debug('Kickbox verification successful', {
+        email,
+        result: response.data.result,
+        reason: response.data.reason
+      });
+      
+      return response.data;
+    } catch (error) {
+      if (error instanceof KickboxError) {
+        throw error;
+      }
+      
+      const status = error?.response?.status;
+      const message = error?.response?.data?.message || error?.message || 'Unknown error';
+      
+      this.logger.error('Kickbox API call failed', {
+        email,
+        status,
+        error: message
+      });
+      
+      if (status === 401) {
+        throw new KickboxError('Invalid API key', 401);
+      }
+      if (status === 402 || (status === 403 && message.toLowerCase().includes('balance'))) {
+        throw new KickboxError(message, 402, 'insufficient_credits');
+      }
+      if (status === 429) {
+        throw new KickboxError('Rate limit exceeded', 429);
+      }
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new KickboxError('Kickbox request timed out', 504);
+      }
+      
+      throw new KickboxError(`API call failed: ${message}`, status || 500);
+    }
+  }
+  
+  /**
+   * Map a Kickbox response to the normalized provider result
+   */
+  normalize(data, email) {
+    let status = 'unknown';
+    let subStatus = REASON_SUB_STATUS_MAP[data.reason] ?? null;
+    
+    if (data.result === 'deliverable') {
+      status = 'valid';
+    } else if (data.result === 'undeliverable') {
+      status = 'invalid';
+    } else if (data.result === 'risky') {
+      // Risky covers accept-all domains and disposable providers
+      if (data.disposable) {
+        status = 'do_not_mail';
+        subStatus = 'disposable';
+      } else if (data.accept_all) {
+        status = 'catch-all';
+        subStatus = null;
+      }
+    }
+    
+    return {
+      email,
+      status,
+      subStatus,
+      didYouMean: data.did_you_mean || null,
+      freeEmail: !!data.free,
+      disposable: !!data.disposable,
+      roleAccount: !!data.role,
+      mxFound: data.reason !== 'invalid_domain',
+      mxRecord: null,
+      smtpProvider: null,
+      raw: data
+    };
+  }
+  
+  /**
+   * Get remaining credits from the last response
+   * @returns {Promise<Object>} Credits information
+   */
+  async checkCredits() {
+    return { credits: this.lastBalance };
+  }
+}
+
+// Create singleton instance
+const kickboxService = new KickboxService();
+
+// Export both the instance and the class
+export { kickboxService, KickboxService };
@@ -0,0 +1,168 @@
+// src/services/external/neverbounce.js
+import axios from 'axios';
+import { config } from '../../core/config.js';
+import { createServiceLogger } from '../../core/logger.js';
+import { NeverBounceError } from '../../core/errors.js';
+import { EmailVerificationProvider } from './email-provider.js';
+
+const logger = createServiceLogger('neverbounce');
+
+// NeverBounce result codes -> normalized status (as ZeroBounce reports the same address)
+const RESULT_STATUS_MAP = {
+  valid: { status: 'valid', subStatus: null },
+  invalid: { status: 'invalid', subStatus: 'mailbox_not_found' },
+  disposable: { status: 'do_not_mail', subStatus: 'disposable' },
+  catchall: { status: 'catch-all', subStatus: null },
+  unknown: { status: 'unknown', subStatus: null }
+};
+
+// Flags that say why an invalid address is invalid -> ZeroBounce sub status
+const INVALID_FLAG_SUB_STATUS = [
+  ['bad_syntax', 'failed_syntax_check'],
+  ['bad_dns', 'no_dns_entries']
+];
+
+class NeverBounceService extends EmailVerificationProvider {
+  constructor() {
+    super('neverbounce', { logger });
+    this.baseUrl = config.services.neverBounce.baseUrl;
+    this.apiKey = config.services.neverBounce.apiKey;
+    this.timeout = config.services.neverBounce.timeout || 10000;
+    
+    this.logger.info('NeverBounce service initialized', {
+      baseUrl: this.baseUrl,
+      apiKeyConfigured: !!this.apiKey,
+      enabled: config.services.neverBounce.enabled
+    });
+  }
+  
+  /**
+   * Check if NeverBounce is enabled and configured
+   */
+  isEnabled() {
+    return !!config.services.neverBounce.enabled && !!this.apiKey;
+  }
+  
+  /**
+   * Call the NeverBounce single check endpoint
+   * @param {string} email - Email to verify
+   * @returns {Promise<Object>} Raw NeverBounce response
+   */
+  async request(email) {
+    if (!this.isEnabled()) {
+      throw new NeverBounceError('NeverBounce service is not enabled', 503);
+    }
+    
+    try {
+      const response = await axios.get(`${this.baseUrl}/single/check`, {
+        params: {
+          key: this.apiKey,
+          email,
+          address_info: 1
+        },
+        timeout: this.timeout,
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Unmessy-API/2.0'
+        }
+      });
+      
+      const data = response.data;
+      
+      // NeverBounce reports API errors in the body with HTTP 200
+      if (!data || data.status !== 'success') {
+        const message = data?.message || 'Unexpected response from NeverBounce';
+        
+        this.logger.error('NeverBounce API error', {
+          status: data?.status,
+          message
+        });
+        
+        if (data?.status === 'auth_failure') {
+          throw new NeverBounceError('Invalid API key', 401);
+        }
+        if (data?.status === 'throttle_triggered') {
+          throw new NeverBounceError('Rate limit exceeded', 429);
+        }
+        if (message.toLowerCase().includes('credit')) {
+          throw new NeverBounceError(message, 402, 'insufficient_credits');
+        }
+        if (data?.status === 'temp_unavail') {
+          throw new NeverBounceError('NeverBounce is temporarily unavailable', 503);
+        }
+        
+        throw new NeverBounceError(message, 502);
+      }
+      
+      this.logger.debug('NeverBounce verification successful', {
+        email,
+        result: data.result
+      });
+      
+      return data;
+    } catch (error) {
+      if (error instanceof NeverBounceError) {
+        throw error;
+      }
+      
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new NeverBounceError('NeverBounce request timed out', 504);
+      }
+      
+      throw new NeverBounceError(
+        `API call failed: ${error?.message || 'Unknown error'}`,
+        error?.response?.status || 500
+      );
+    }
+  }
+  
+  /**
+   * Map a NeverBounce response to the normalized provider result
+   */
+  normalize(data, email) {
+    const flags = data.flags || [];
+    const mapped = RESULT_STATUS_MAP[data.result] || RESULT_STATUS_MAP.unknown;
+    
+    let subStatus = mapped.subStatus;
+    if (data.result === 'invalid') {
+      const reason = INVALID_FLAG_SUB_STATUS.find(([flag]) => flags.includes(flag));
+      subStatus = reason ? reason[1] : subStatus;
+    }
+    
+    return {
+      email,
+      status: mapped.status,
+      subStatus,
+      didYouMean: data.suggested_correction || null,
+      freeEmail: flags.includes('free_email_host'),
+      disposable: data.result === 'disposable',
+      roleAccount: flags.includes('role_account'),
+      mxFound: flags.includes('has_dns_mx'),
+      mxRecord: null,
+      smtpProvider: null,
+      raw: data
+    };
+  }
+  
+  /**
+   * Get remaining credits
+   * @returns {Promise<Object>} Credits information
+   */
+  async checkCredits() {
+    const response = await axios.get(`${this.baseUrl}/account/info`, {
+      params: { key: this.apiKey },
+      timeout: 5000
+    });
+    
+    const credits = response.data?.credits_info;
+    return {
+      credits: (credits?.paid_credits_remaining || 0) + (credits?.free_credits_remaining || 0)
+    };
+  }
+}
+
+// Create singleton instance
+const neverBounceService = new NeverBounceService();
+
+// Export both the instance and the class
+export { neverBounceService, NeverBounceService };
@@ -0,0 +1,454 @@
+// src/services/external/smtp-probe.js
+import net from 'net';
+import { config } from '../../core/config.js';
+import { createServiceLogger } from '../../core/logger.js';
+import { SmtpError, ErrorRecovery } from '../../core/errors.js';
+
+const logger = createServiceLogger('smtp-probe');
+
+// Recipients with UTF-8 local parts need the SMTPUTF8 extension
+const NON_ASCII_PATTERN = /[\u0080-\uffff]/;
+
+// Minimal SMTP client session - only what is needed to probe a mailbox
+class SmtpSession {
+  constructor(host, port, { connectTimeout, commandTimeout }) {
+    this.host = host;
+    this.port = port;
+    this.connectTimeout = connectTimeout;
+    this.commandTimeout = commandTimeout;
+
+    this.socket = null;
+    this.buffer = '';
+    this.pendingLines = [];
+    this.replies = [];
+    this.waiters = [];
+    this.closed = false;
+  }
+
+  // Open the connection and wait for the server greeting
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket = socket;
+      socket.setEncoding('utf8');
+
+      const connectTimer = setTimeout(() => {
+        socket.destroy();
+        reject(new SmtpError(`Connection to ${this.host}:${this.port} timed out`, 504, 'ETIMEDOUT'));
+      }, this.connectTimeout);
+
+      socket.once('connect', () => {
+        clearTimeout(connectTimer);
+        this.readReply().then(resolve, reject);
+      });
+
+      socket.on('data', (chunk) => this.handleData(chunk));
+
+      socket.on('error', (error) => {
+        clearTimeout(connectTimer);
+        const smtpError = new SmtpError(`Connection to ${this.host} failed: ${error.message}`, 502, error.code);
+        this.failWaiters(smtpError);
+        reject(smtpError);
+      });
+
+      socket.on('close', () => {
+        this.closed = true;
+        this.failWaiters(new SmtpError(`Connection to ${this.host} closed unexpectedly`, 502, 'ECONNRESET'));
+      });
+    });
+  }
+
+  // Collect lines until a final reply line ("250 ..." rather than "250-...")
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+      this.pendingLines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.pushReply(this.parseReply(this.pendingLines));
+        this.pendingLines = [];
+      }
+    }
+  }
+
+  parseReply(lines) {
+    const code = parseInt(lines[lines.length - 1].substring(0, 3), 10);
+    const text = lines.map(line => line.substring(4)).join(' ').trim();
+    const enhancedMatch = text.match(/^([245])\.(\d{1,3})\.(\d{1,3})\b/);
+
+    return {
+      code,
+      enhancedCode: enhancedMatch ? enhancedMatch[0] : null,
+      message: text
+    };
+  }
+
+  pushReply(reply) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  failWaiters(error) {
+    while (this.waiters.length > 0) {
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
+    }
+  }
+
+  readReply() {
+    if (this.replies.length > 0) {
+      return Promise.resolve(this.replies.shift());
+    }
+
+    if (this.closed) {
+      return Promise.reject(new SmtpError(`Connection to ${this.host} is closed`, 502, 'ECONNRESET'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new SmtpError(`No reply from ${this.host} within ${this.commandTimeout}ms`, 504, 'ETIMEDOUT'));
+      }, this.commandTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Send a command and wait for its reply
+  send(command) {
+    if (this.closed || !this.socket) {
+      return Promise.reject(new SmtpError(`Connection to ${this.host} is closed`, 502, 'ECONNRESET'));
+    }
+
+    this.socket.write(`${command}\r\n`);
+    return this.readReply();
+  }
+
+  // Say goodbye politely, but never wait long for it
+  async quit() {
+    if (this.closed || !this.socket) return;
+
+    try {
+      this.socket.write('QUIT\r\n');
+    } catch (error) {
+      // Ignore - we are closing anyway
+    }
+
+    this.close();
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket.destroy();
+    }
+    this.closed = true;
+  }
+}
+
+class SmtpProbeService {
+  constructor(options = {}) {
+    this.logger = logger;
+
+    // Options override config so the probe can be pointed at a local fake server
+    const smtpConfig = { ...config.services.smtpProbe, ...options };
+    this.enabled = smtpConfig.enabled;
+    this.port = smtpConfig.port || 25;
+    this.heloHost = smtpConfig.heloHost;
+    this.mailFrom = smtpConfig.mailFrom;
+    this.connectTimeout = smtpConfig.connectTimeout || 5000;
+    this.commandTimeout = smtpConfig.commandTimeout || 8000;
+    this.maxConnectionsPerMx = smtpConfig.maxConnectionsPerMx || 2;
+    this.greylistRetries = smtpConfig.greylistRetries || 0;
+    this.greylistRetryDelay = smtpConfig.greylistRetryDelay || 3000;
+    this.greylistBackoff = smtpConfig.greylistBackoff || 900000;
+
+    // Per-MX connection accounting
+    this.activeConnections = new Map();
+    this.slotWaiters = new Map();
+
+    // MX hosts that greylisted us recently (host -> retry-after timestamp)
+    this.greylistedMx = new Map();
+
+    this.logger.info('SMTP probe service initialized', {
+      enabled: this.enabled,
+      port: this.port,
+      heloHost: this.heloHost,
+      maxConnectionsPerMx: this.maxConnectionsPerMx
+    });
+  }
+
+  isEnabled() {
+    return !!this.enabled;
+  }
+
+  // Verify a single mailbox against the given MX host
+  async verifyMailbox(email, options = {}) {
+    const [result] = await this.verifyRecipients([email], options);
+    return result;
+  }
+
+  // Verify several recipients of the same domain in one SMTP session
+  async verifyRecipients(recipients, options = {}) {
+    const { mxHost, port = this.port } = options;
+
+    if (!mxHost) {
+      throw new SmtpError('MX host is required for SMTP probing', 400, 'NO_MX');
+    }
+
+    // Don't knock on the door again while we are still greylisted
+    const greylistedUntil = this.greylistedMx.get(mxHost);
+    if (greylistedUntil && Date.now() < greylistedUntil) {
+      this.logger.debug('Skipping SMTP probe, MX is in greylist backoff', { mxHost });
+      return recipients.map(email => ({
+        email,
+        mxHost,
+        status: 'unknown',
+        subStatus: 'greylisted',
+        greylisted: true,
+        fromBackoff: true,
+        retryAfter: new Date(greylistedUntil).toISOString()
+      }));
+    }
+
+    let results = await this.runSession(recipients, mxHost, port);
+
+    // Retry greylisted recipients if configured
+    for (let attempt = 1; attempt <= this.greylistRetries; attempt++) {
+      const greylisted = results.filter(r => r.greylisted).map(r => r.email);
+      if (greylisted.length === 0) break;
+
+      this.logger.debug('Recipients greylisted, retrying', { mxHost, attempt, count: greylisted.length });
+      await ErrorRecovery.sleep(this.greylistRetryDelay);
+
+      const retried = await this.runSession(greylisted, mxHost, port);
+      const retriedByEmail = new Map(retried.map(r => [r.email, r]));
+      results = results.map(r => retriedByEmail.get(r.email) || r);
+    }
+
+    if (results.some(r => r.greylisted)) {
+      this.greylistedMx.set(mxHost, Date.now() + this.greylistBackoff);
+    } else {
+      this.greylistedMx.delete(mxHost);
+    }
+
+    return results;
+  }
+
+  // Run one EHLO / MAIL FROM / RCPT TO... / QUIT session
+  async runSession(recipients, mxHost, port) {
+    const startTime = Date.now();
+    await this.acquireSlot(mxHost);
+
+    const session = new SmtpSession(mxHost, port, {
+      connectTimeout: this.connectTimeout,
+      commandTimeout: this.commandTimeout
+    });
+
+    try {
+      const greeting = await session.connect();
+      if (greeting.code !== 220) {
+        return this.sessionFailure(recipients, mxHost, greeting, 'connection_rejected', startTime);
+      }
+
+      let helo = await session.send(`EHLO ${this.heloHost}`);
+      let extended = true;
+      if (helo.code !== 250) {
+        helo = await session.send(`HELO ${this.heloHost}`);
+        extended = false;
+      }
+      if (helo.code !== 250) {
+        return this.sessionFailure(recipients, mxHost, helo, 'helo_rejected', startTime);
+      }
+
+      // RFC 6531: UTF-8 local parts may only be sent to servers advertising SMTPUTF8
+      const smtpUtf8 = extended && /\bSMTPUTF8\b/i.test(helo.message);
+      const needsSmtpUtf8 = recipients.some(email => NON_ASCII_PATTERN.test(email));
+
+      const mailFrom = await session.send(
+        `MAIL FROM:<${this.mailFrom}>${needsSmtpUtf8 && smtpUtf8 ? ' SMTPUTF8' : ''}`
+      );
+      if (mailFrom.code !== 250) {
+        return this.sessionFailure(recipients, mxHost, mailFrom, 'mail_from_rejected', startTime);
+      }
+
+      const results = [];
+      for (const email of recipients) {
+        // The server could never accept mail for this address
+        if (!smtpUtf8 && NON_ASCII_PATTERN.test(email)) {
+          results.push({
+            email,
+            mxHost,
+            status: 'invalid',
+            subStatus: 'smtputf8_not_supported',
+            greylisted: false,
+            smtpUtf8,
+            durationMs: Date.now() - startTime
+          });
+          continue;
+        }
+
+        const reply = await session.send(`RCPT TO:<${email}>`);
+        results.push({
+          email,
+          mxHost,
+          ...this.classifyRcptReply(reply),
+          smtpUtf8,
+          code: reply.code,
+          enhancedCode: reply.enhancedCode,
+          message: reply.message,
+          durationMs: Date.now() - startTime
+        });
+      }
+
+      this.logger.debug('SMTP probe completed', {
+        mxHost,
+        recipients: results.length,
+        durationMs: Date.now() - startTime
+      });
+
+      return results;
+    } finally {
+      await session.quit();
+      this.releaseSlot(mxHost);
+    }
+  }
+
+  // The server refused us before we could ask about the mailbox
+  sessionFailure(recipients, mxHost, reply, subStatus, startTime) {
+    const greylisted = reply.code >= 400 && reply.code < 500;
+
+    this.logger.debug('SMTP session refused', { mxHost, code: reply.code, subStatus });
+
+    return recipients.map(email => ({
+      email,
+      mxHost,
+      status: 'unknown',
+      subStatus: greylisted ? 'greylisted' : subStatus,
+      greylisted,
+      code: reply.code,
+      enhancedCode: reply.enhancedCode,
+      message: reply.message,
+      durationMs: Date.now() - startTime
+    }));
+  }
+
+  // Map an RCPT TO reply to our status vocabulary
+  classifyRcptReply(reply) {
+    const { code, enhancedCode } = reply;
+
+    if (code === 250 || code === 251) {
+      return { status: 'valid', subStatus: 'mailbox_exists', greylisted: false };
+    }
+
+    if (code === 252) {
+      return { status: 'unknown', subStatus: 'cannot_verify', greylisted: false };
+    }
+
+    if (code >= 400 && code < 500) {
+      return { status: 'unknown', subStatus: 'greylisted', greylisted: true };
+    }
+
+    if (code >= 500) {
+      // 5.7.x is a policy block against us, it says nothing about the mailbox
+      if (enhancedCode && enhancedCode.startsWith('5.7.')) {
+        return { status: 'unknown', subStatus: 'blocked_by_policy', greylisted: false };
+      }
+
+      // A full mailbox is temporary (RFC 5321 treats 552 on RCPT as 452) - the mailbox exists
+      if (code === 552 || enhancedCode === '5.2.2') {
+        return { status: 'unknown', subStatus: 'mailbox_full', greylisted: false };
+      }
+
+      if (code === 550 || code === 551 || code === 553 || (enhancedCode && enhancedCode.startsWith('5.1.'))) {
+        return { status: 'invalid', subStatus: 'mailbox_not_found', greylisted: false };
+      }
+
+      // Syntax errors, auth required, anti-spam blocks... a problem with our probe, not the mailbox
+      return { status: 'unknown', subStatus: 'rejected', greylisted: false };
+    }
+
+    return { status: 'unknown', subStatus: 'unexpected_reply', greylisted: false };
+  }
+
+  // Wait for a free connection slot for this MX host
+  async acquireSlot(mxHost) {
+    const active = this.activeConnections.get(mxHost) || 0;
+
+    if (active < this.maxConnectionsPerMx) {
+      this.activeConnections.set(mxHost, active + 1);
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+
+      waiter.timer = setTimeout(() => {
+        const waiters = this.slotWaiters.get(mxHost) || [];
+        this.slotWaiters.set(mxHost, waiters.filter(w => w !== waiter));
+        reject(new SmtpError(`Too many concurrent connections to ${mxHost}`, 503, 'MX_BUSY'));
+      }, this.connectTimeout);
+
+      if (!this.slotWaiters.has(mxHost)) {
+        this.slotWaiters.set(mxHost, []);
+      }
+      this.slotWaiters.get(mxHost).push(waiter);
+    });
+  }
+
+  releaseSlot(mxHost) {
+    const waiters = this.slotWaiters.get(mxHost);
+
+    // Hand the slot straight to the next waiter
+    if (waiters && waiters.length > 0) {
+      const next = waiters.shift();
+      clearTimeout(next.timer);
+      next.resolve();
+      return;
+    }
+
+    this.slotWaiters.delete(mxHost);
+
+    const active = (this.activeConnections.get(mxHost) || 1) - 1;
+    if (active <= 0) {
+      this.activeConnections.delete(mxHost);
+    } else {
+      this.activeConnections.set(mxHost, active);
+    }
+  }
+
+  // Clean up expired greylist backoff entries
+  cleanupGreylist() {
+    const now = Date.now();
+    for (const [mxHost, until] of this.greylistedMx.entries()) {
+      if (now >= until) {
+        this.greylistedMx.delete(mxHost);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      port: this.port,
+      activeConnections: Object.fromEntries(this.activeConnections),
+      greylistedMx: this.greylistedMx.size
+    };
+  }
+}
+
+// Create singleton instance
+const smtpProbeService = new SmtpProbeService();
+
+// Export both the instance and the class
+export { smtpProbeService, SmtpProbeService };
@@ -9,11 +9,14 @@ import {
   ErrorRecovery,
   TimeoutError
 } from '../../core/errors.js';
+import { EmailVerificationProvider } from './email-provider.js';
 
 const logger = createServiceLogger('zerobounce');
 
-class ZeroBounceService {
+class ZeroBounceService extends EmailVerificationProvider {
   constructor() {
+    // ZeroBounce manages its own circuit breaker below
+    super('zerobounce', { logger, circuitBreaker: false });
     this.logger = logger;
     // Use correct ZeroBounce API v2 base URL
     this.baseUrl = config.services.zeroBounce.baseUrl || 'https://api.zerobounce.net/v2';
@@ -105,6 +108,34 @@ class ZeroBounceService {
     });
   }
   
+  // Provider interface: enabled and API key configured
+  isEnabled() {
+    return !!config.services.zeroBounce.enabled && !!this.apiKey && this.apiKey.trim() !== '';
+  }
+  
+  // Provider interface: vendor request
+  async request(email, options = {}) {
+    return this.validateEmail(email, options);
+  }
+  
+  // Provider interface: map ZeroBounce fields to the normalized shape
+  normalize(data, email) {
+    return {
+      email: data.email || email,
+      status: data.status || 'unknown',
+      subStatus: data.sub_status || null,
+      didYouMean: data.did_you_mean || null,
+      freeEmail: data.free_email === true || data.free_email === 'true',
+      disposable: data.sub_status === 'disposable',
+      roleAccount: data.sub_status === 'role_based',
+      mxFound: data.mx_found === true || data.mx_found === 'true',
+      mxRecord: data.mx_record || null,
+      smtpProvider: data.smtp_provider || null,
+      domainAgeDays: data.domain_age_days || null,
+      raw: data
+    };
+  }
+  
   // Validate email with ZeroBounce
   async validateEmail(email, options = {}) {
     const {
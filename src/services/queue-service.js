@@ -19,6 +19,9 @@ if (typeof process !== 'undefined' && process.setMaxListeners) {
 
 const logger = createServiceLogger('queue-service');
 
+// HubSpot only has um_phone1 and um_phone2 - more numbers would be validated, billed and dropped
+const HUBSPOT_PHONE_SLOTS = 2;
+
 class QueueService {
   constructor() {
     this.logger = logger;
@@ -543,6 +546,7 @@ class QueueService {
             'phone', 'mobilephone', 'hs_phone_number',
             'phone_number', 'mobile_phone_number',
             'work_phone', 'home_phone', 'cell_phone',
+            ...config.validation.phone.textExtraction.fields,
             
             // ALL possible address fields
             'address', 'address2', 
@@ -555,9 +559,11 @@ class QueueService {
             'um_phone1', 'um_phone1_status', 'um_phone1_format',
             'um_phone1_country_code', 'um_phone1_is_mobile',
             'um_phone1_country', 'um_phone1_area_code', 'um_phone1_area',
+            'um_phone1_extension', 'um_phone1_type',
             'um_phone2', 'um_phone2_status', 'um_phone2_format',
             'um_phone2_country_code', 'um_phone2_is_mobile',
             'um_phone2_country', 'um_phone2_area_code', 'um_phone2_area',
+            'um_phone2_extension', 'um_phone2_type',
             
             // Address fields
             'um_house_number', 'um_street_name', 'um_street_type',
@@ -568,11 +574,16 @@ class QueueService {
             
             // Email validation fields
             'um_email', 'um_email_status', 'um_bounce_status',
+            'um_email_catch_all', 'um_email_canonical', 'um_email_score',
+            'um_email_domain_type', 'um_company_domain',
             
             // Name validation fields
             'um_first_name', 'um_last_name', 'um_name_status',
             'um_name_format', 'um_middle_name', 'um_honorific', 'um_suffix',
-            'um_name' // Include the full name field
+            'um_name', // Include the full name field
+            'um_formal_first_name', 'um_first_name_variants', 'um_name_latin',
+            'um_name_type', 'um_company_name',
+            'um_inferred_first_name', 'um_inferred_last_name', 'um_inferred_name_status'
           ]
         }
       );
@@ -593,8 +604,16 @@ class QueueService {
   }
   
   // NEW: Extract phone numbers from contact
-  extractPhoneNumbers(contactData) {
+  // With `fromText`, each field is scanned for every number it holds (plus `textFields`),
+  // so "0412 345 678 or (02) 9876 5432 ext 12" yields two numbers rather than one digit mash
+  extractPhoneNumbers(contactData, options = {}) {
+    const { fromText = false, textFields = [] } = options;
     const props = contactData?.properties || {};
+    
+    if (fromText) {
+      return this.extractPhoneNumbersFromText(props, textFields);
+    }
+    
     const phoneNumbers = [];
     
     // Primary phone
@@ -620,6 +639,47 @@ class QueueService {
     return phoneNumbers;
   }
 
+  // Every number found in the phone fields and any extra text fields, deduplicated
+  extractPhoneNumbersFromText(props, textFields = []) {
+    const country = props.country || 'US';
+    const sourceTypes = { phone: 'primary', mobilephone: 'mobile' };
+    const seen = new Set();
+    const phoneNumbers = [];
+    
+    [...new Set(['phone', 'mobilephone', ...textFields])].forEach(source => {
+      const text = props[source];
+      if (!text) return;
+      
+      const matches = validationService.findPhoneNumbers(String(text), { country });
+      
+      // Nothing recognisable in a phone field - validate it as-is so it still reports as invalid
+      if (matches.length === 0) {
+        if (sourceTypes[source] && !seen.has(text)) {
+          seen.add(text);
+          phoneNumbers.push({ number: text, source, type: sourceTypes[source], country });
+        }
+        return;
+      }
+      
+      matches.forEach(match => {
+        const key = `${match.e164};${match.extension || ''}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        
+        phoneNumbers.push({
+          number: match.extension ? `${match.e164};ext=${match.extension}` : match.e164,
+          source,
+          type: sourceTypes[source] || 'text',
+          country: match.country || country,
+          extension: match.extension,
+          match: { text: match.text, startsAt: match.startsAt, endsAt: match.endsAt }
+        });
+      });
+    });
+    
+    return phoneNumbers.slice(0, Math.min(config.validation.phone.textExtraction.maxNumbers, HUBSPOT_PHONE_SLOTS));
+  }
+  
   // NEW: Check if address data exists
   hasAddressData(item, contactData) {
     const props = contactData?.properties || {};
@@ -658,10 +718,18 @@ class QueueService {
     const shouldValidateName = 
       item.needs_name_validation && 
       (contactData?.properties?.firstname || contactData?.properties?.lastname);
-      
+    
+    // No name on the contact - fall back to guessing one from the email
+    const shouldInferName =
+      item.needs_name_validation && !shouldValidateName && contactData?.properties?.email;
+      
+    const phoneExtraction = config.validation.phone.textExtraction;
+    const phoneFields = phoneExtraction.enabled
+      ? ['phone', 'mobilephone', ...phoneExtraction.fields]
+      : ['phone', 'mobilephone'];
     const shouldValidatePhone = 
       item.needs_phone_validation && 
-      (contactData?.properties?.phone || contactData?.properties?.mobilephone);
+      phoneFields.some(field => contactData?.properties?.[field]);
       
     const shouldValidateAddress = 
       item.needs_address_validation && this.hasAddressData(item, contactData);
@@ -700,7 +768,10 @@ class QueueService {
     
     // Enhanced phone validation - handle multiple phones
     if (shouldValidatePhone) {
-      const phoneNumbers = this.extractPhoneNumbers(contactData);
+      const phoneNumbers = this.extractPhoneNumbers(contactData, {
+        fromText: phoneExtraction.enabled,
+        textFields: phoneExtraction.fields
+      });
       
       if (phoneNumbers.length > 0) {
         const phoneValidationPromises = phoneNumbers.map(async (phoneData, index) => {
@@ -712,8 +783,9 @@ class QueueService {
             
             return {
               ...result,
-              originalNumber: phoneData.number,
+              originalNumber: phoneData.match?.text || phoneData.number,
               source: phoneData.source,
+              match: phoneData.match || null,
               index
             };
           } catch (error) {
@@ -748,6 +820,13 @@ class QueueService {
     // Wait for all validations to complete
     await Promise.all(validationPromises);
     
+    // Infer from the corrected address - role accounts like info@ come back without a name
+    if (shouldInferName) {
+      results.inferredName = validationService.inferNameFromEmail(
+        results.email?.um_email || contactData.properties.email
+      );
+    }
+    
     return results;
   }
   
@@ -866,19 +945,19 @@ class QueueService {
   
   // NEW: Add phone fields with correct property mapping
   addPhoneFieldsToForm(fields, item, contactData, validationResults) {
-    const phoneResults = validationResults.phones.filter(p => !p.error);
+    const phoneResults = validationResults.phones.filter(p => !p.error).slice(0, HUBSPOT_PHONE_SLOTS);
     
     phoneResults.forEach((phoneResult, index) => {
       const phoneNum = index + 1;
       const prefix = `um_phone${phoneNum}`;
       
-      // Phone number (formatted)
+      // Phone number in the client's output format
       fields.push({
         name: prefix,
-        value: phoneResult.formatted || phoneResult.originalNumber || ''
+        value: phoneResult.um_phone || phoneResult.formatted || phoneResult.originalNumber || ''
       });
       
-      // Status (Changed/Unchanged based on formatting)
+      // Status (Changed/Unchanged against the output format)
       fields.push({
         name: `${prefix}_status`,
         value: phoneResult.wasCorrected ? 'Changed' : 'Unchanged'
@@ -907,6 +986,18 @@ class QueueService {
         name: `${prefix}_country`,
         value: phoneResult.country || ''
       });
+      
+      // Extension (empty clears a previous one)
+      fields.push({
+        name: `${prefix}_extension`,
+        value: phoneResult.um_phone_extension || ''
+      });
+      
+      // Number type (Mobile, Toll Free, Premium Rate...)
+      fields.push({
+        name: `${prefix}_type`,
+        value: phoneResult.um_phone_type || ''
+      });
     });
   }
 
@@ -1038,10 +1129,61 @@ class QueueService {
         name: 'um_bounce_status',
         value: emailResult.um_bounce_status || 'Unknown'
       });
+      
+      if (emailResult.um_email_score !== null && emailResult.um_email_score !== undefined) {
+        fields.push({
+          name: 'um_email_score',
+          value: String(emailResult.um_email_score)
+        });
+      }
+      
+      if (emailResult.um_email_domain_type) {
+        fields.push({
+          name: 'um_email_domain_type',
+          value: emailResult.um_email_domain_type
+        });
+      }
+      
+      if (emailResult.um_company_domain) {
+        fields.push({
+          name: 'um_company_domain',
+          value: emailResult.um_company_domain
+        });
+      }
+      
+      if (emailResult.um_email_canonical) {
+        fields.push({
+          name: 'um_email_canonical',
+          value: emailResult.um_email_canonical
+        });
+      }
+      
+      // Only send the catch-all flag once we have a verdict for the domain
+      if (emailResult.um_email_catch_all !== null && emailResult.um_email_catch_all !== undefined) {
+        fields.push({
+          name: 'um_email_catch_all',
+          value: emailResult.um_email_catch_all ? 'true' : 'false'
+        });
+      }
     }
     
-    // FIXED: Add name validation results - properly handle middle name in um_name
-    if (validationResults?.name && !validationResults.name.error) {
+    const nameType = validationResults?.name?.name_type;
+    
+    if (validationResults?.name && !validationResults.name.error && nameType && nameType !== 'person') {
+      // A company or department in the name fields - leave the person fields alone
+      fields.push({
+        name: 'um_name_type',
+        value: nameType
+      });
+      
+      if (validationResults.name.um_company_name) {
+        fields.push({
+          name: 'um_company_name',
+          value: validationResults.name.um_company_name
+        });
+      }
+    } else if (validationResults?.name && !validationResults.name.error) {
+      // FIXED: Add name validation results - properly handle middle name in um_name
       const nameResult = validationResults.name;
       fields.push({
         name: 'um_first_name',
@@ -1059,6 +1201,11 @@ class QueueService {
         name: 'um_name_format',
         value: nameResult.formatValid ? 'Valid' : 'Invalid'
       });
+      // Now a person - clear a company/department verdict from an earlier name
+      fields.push({
+        name: 'um_name_type',
+        value: ''
+      });
       
       if (nameResult.middleName) {
         fields.push({
@@ -1081,8 +1228,35 @@ class QueueService {
         });
       }
       
+      if (nameResult.um_formal_first_name) {
+        fields.push({
+          name: 'um_formal_first_name',
+          value: nameResult.um_formal_first_name
+        });
+      }
+      
+      if (nameResult.um_first_name_variants?.length > 0) {
+        fields.push({
+          name: 'um_first_name_variants',
+          value: nameResult.um_first_name_variants.join(';')
+        });
+      }
+      
+      if (nameResult.um_name_latin) {
+        fields.push({
+          name: 'um_name_latin',
+          value: nameResult.um_name_latin
+        });
+      }
+      
       // FIXED: Build full name including middle name
-      if (nameResult.firstName || nameResult.lastName || nameResult.middleName) {
+      if (nameResult.name_order === 'family_first' && nameResult.um_name) {
+        // Already composed family name first (CJK, Hungarian)
+        fields.push({
+          name: 'um_name',
+          value: nameResult.um_name
+        });
+      } else if (nameResult.firstName || nameResult.lastName || nameResult.middleName) {
         const nameParts = [];
         if (nameResult.firstName) nameParts.push(nameResult.firstName);
         if (nameResult.middleName) nameParts.push(nameResult.middleName);
@@ -1095,6 +1269,31 @@ class QueueService {
       }
     }
     
+    // Names guessed from the email local part
+    if (validationResults?.inferredName) {
+      const inferredName = validationResults.inferredName;
+      
+      if (inferredName.um_inferred_first_name) {
+        fields.push({
+          name: 'um_inferred_first_name',
+          value: inferredName.um_inferred_first_name
+        });
+      }
+      
+      if (inferredName.um_inferred_last_name) {
+        fields.push({
+          name: 'um_inferred_last_name',
+          value: inferredName.um_inferred_last_name
+        });
+      }
+      
+      // Written even when nothing was inferred, so the contact isn't queued for it again
+      fields.push({
+        name: 'um_inferred_name_status',
+        value: inferredName.um_inferred_name_status
+      });
+    }
+    
     // UPDATED: Add phone validation results with new logic
     if (validationResults?.phones && Array.isArray(validationResults.phones)) {
       this.addPhoneFieldsToForm(fields, item, contactData, validationResults);
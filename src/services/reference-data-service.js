@@ -0,0 +1,366 @@
+// src/services/reference-data-service.js
+import db from '../core/db.js';
+import { config } from '../core/config.js';
+import { createServiceLogger } from '../core/logger.js';
+import { NotFoundError, ConflictError, ValidationError } from '../core/errors.js';
+
+const logger = createServiceLogger('reference-data-service');
+
+// Admin-editable reference tables by dataset and URL slug
+// `key` identifies a row; `lowercase` columns are stored lower-case, as the services read them
+const REFERENCE_TABLES = {
+  name: {
+    honorifics: { table: 'honorifics', key: 'honorific', columns: ['honorific'], lowercase: ['honorific'] },
+    suffixes: { table: 'suffixes', key: 'suffix', columns: ['suffix', 'formatted'], lowercase: ['suffix'] },
+    particles: { table: 'name_particles', key: 'particle', columns: ['particle'], lowercase: ['particle'] },
+    'suspicious-names': { table: 'suspicious_names', key: 'name', columns: ['name'], lowercase: ['name'] },
+    'security-patterns': { table: 'security_patterns', key: 'pattern', columns: ['pattern'], lowercase: ['pattern'] },
+    'special-cases': {
+      table: 'special_case_names',
+      key: 'name_typo',
+      columns: ['name_typo', 'name_correction'],
+      lowercase: ['name_typo']
+    },
+    // A nickname can map to several formal names, so updates and deletes must name the formal_name
+    nicknames: {
+      table: 'name_nicknames',
+      key: 'nickname',
+      secondaryKey: 'formal_name',
+      columns: ['nickname', 'formal_name'],
+      lowercase: []
+    }
+  },
+  email: {
+    'domain-typos': {
+      table: 'domain_typos',
+      key: 'typo_domain',
+      columns: ['typo_domain', 'correct_domain'],
+      lowercase: ['typo_domain', 'correct_domain']
+    },
+    'tld-typos': {
+      table: 'tld_typos',
+      key: 'typo_tld',
+      columns: ['typo_tld', 'correct_tld'],
+      lowercase: ['typo_tld', 'correct_tld']
+    },
+    'valid-domains': { table: 'valid_domains', key: 'domain', columns: ['domain'], lowercase: ['domain'] }
+  }
+};
+
+class ReferenceDataService {
+  constructor() {
+    this.logger = logger;
+    
+    // dataset -> functions that reload the in-memory lists of every service instance using it
+    this.reloaders = new Map();
+    
+    // dataset -> version this instance has loaded (versions come from a database sequence,
+    // so instances never compare their own clocks); unset until the first version check
+    this.loadedVersions = new Map();
+    
+    this.lastVersionCheck = 0;
+    this.versionCheckInterval = config.referenceData.reloadCheckInterval;
+  }
+  
+  // Table definition for a dataset/resource pair
+  getDefinition(dataset, resource) {
+    const definition = REFERENCE_TABLES[dataset]?.[resource];
+    
+    if (!definition) {
+      throw new NotFoundError('Reference table', `${dataset}/${resource}`);
+    }
+    
+    return definition;
+  }
+  
+  // Resources an admin can manage, for discovery
+  listResources() {
+    return Object.fromEntries(
+      Object.entries(REFERENCE_TABLES).map(([dataset, tables]) => [
+        dataset,
+        Object.entries(tables).map(([resource, definition]) => ({
+          resource,
+          table: definition.table,
+          key: definition.key,
+          columns: definition.columns
+        }))
+      ])
+    );
+  }
+  
+  // Keep only the table's columns, lower-casing the ones the services match on
+  normalizeRecord(definition, record) {
+    const normalized = {};
+    
+    definition.columns.forEach(column => {
+      if (record[column] === undefined) return;
+      
+      const value = typeof record[column] === 'string' ? record[column].trim() : record[column];
+      normalized[column] = definition.lowercase.includes(column) && typeof value === 'string'
+        ? value.toLowerCase()
+        : value;
+    });
+    
+    return normalized;
+  }
+  
+  // Where conditions for exactly one row - without the secondary key a nickname matches every mapping
+  getRowConditions(definition, keyValue, secondaryValue = null) {
+    if (definition.secondaryKey && !secondaryValue) {
+      throw new ValidationError(`${definition.secondaryKey} is required to change a ${definition.table} entry`, [
+        { field: definition.secondaryKey, message: `${definition.secondaryKey} is required` }
+      ]);
+    }
+    
+    return this.getConditions(definition, keyValue, secondaryValue);
+  }
+  
+  // Where conditions for one row
+  getConditions(definition, keyValue, secondaryValue = null) {
+    const normalizedKey = definition.lowercase.includes(definition.key)
+      ? String(keyValue).trim().toLowerCase()
+      : String(keyValue).trim();
+    
+    const conditions = { [definition.key]: normalizedKey };
+    if (definition.secondaryKey && secondaryValue) {
+      conditions[definition.secondaryKey] = String(secondaryValue).trim();
+    }
+    
+    return conditions;
+  }
+  
+  // Paginated rows of a reference table
+  async listEntries(dataset, resource, page = 1, limit = 50, options = {}) {
+    const { search = null } = options;
+    const definition = this.getDefinition(dataset, resource);
+    const offset = (page - 1) * limit;
+    
+    const { rows, total } = await db.executeWithRetry(async (supabase) => {
+      let query = supabase
+        .from(definition.table)
+        .select(definition.columns.join(', '), { count: 'exact' });
+      
+      if (search) {
+        query = query.ilike(definition.key, `%${search}%`);
+      }
+      
+      const { data, count, error } = await query
+        .order(definition.key, { ascending: true })
+        .range(offset, offset + limit - 1);
+      
+      if (error) throw error;
+      return { rows: data || [], total: count || 0 };
+    });
+    
+    return {
+      entries: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+  
+  // Add a row, audit it and tell every instance to reload
+  async createEntry(dataset, resource, record, actor = null) {
+    const definition = this.getDefinition(dataset, resource);
+    const entry = this.normalizeRecord(definition, record);
+    const conditions = this.getConditions(definition, entry[definition.key], entry[definition.secondaryKey]);
+    
+    const existing = await db.select(definition.table, conditions, { limit: 1 });
+    if (existing?.rows?.length) {
+      throw new ConflictError(`${definition.table} entry`, entry[definition.key]);
+    }
+    
+    await db.insert(definition.table, entry);
+    await this.recordAudit(dataset, definition, 'create', entry[definition.key], null, entry, actor);
+    await this.publishChange(dataset);
+    
+    return entry;
+  }
+  
+  // Change a row identified by its key
+  async updateEntry(dataset, resource, keyValue, changes, actor = null, secondaryValue = null) {
+    const definition = this.getDefinition(dataset, resource);
+    const conditions = this.getRowConditions(definition, keyValue, secondaryValue);
+    
+    const existing = await db.select(definition.table, conditions, { limit: 1 });
+    const before = existing?.rows?.[0];
+    if (!before) {
+      throw new NotFoundError(`${definition.table} entry`, keyValue);
+    }
+    
+    const updates = this.normalizeRecord(definition, changes);
+    
+    // Renaming the row must not collide with another one
+    const newConditions = this.getConditions(
+      definition,
+      updates[definition.key] ?? before[definition.key],
+      updates[definition.secondaryKey] ?? before[definition.secondaryKey]
+    );
+    const renamed = Object.entries(newConditions).some(([column, value]) => value !== conditions[column]);
+    if (renamed) {
+      const clash = await db.select(definition.table, newConditions, { limit: 1 });
+      if (clash?.rows?.length) {
+        throw new ConflictError(`${definition.table} entry`, newConditions[definition.key]);
+      }
+    }
+    
+    const { rows } = await db.update(definition.table, updates, conditions, { returning: true });
+    const after = rows?.[0] || { ...before, ...updates };
+    
+    await this.recordAudit(dataset, definition, 'update', conditions[definition.key], before, after, actor);
+    await this.publishChange(dataset);
+    
+    return after;
+  }
+  
+  // Remove a row identified by its key
+  async deleteEntry(dataset, resource, keyValue, actor = null, secondaryValue = null) {
+    const definition = this.getDefinition(dataset, resource);
+    const conditions = this.getRowConditions(definition, keyValue, secondaryValue);
+    
+    const { rows } = await db.delete(definition.table, conditions, { returning: true });
+    if (!rows?.length) {
+      throw new NotFoundError(`${definition.table} entry`, keyValue);
+    }
+    
+    await this.recordAudit(dataset, definition, 'delete', conditions[definition.key], rows, null, actor);
+    await this.publishChange(dataset);
+    
+    return { deleted: rows.length };
+  }
+  
+  // Audit trail row - a failed write is logged but does not undo the change
+  async recordAudit(dataset, definition, action, recordKey, before, after, actor) {
+    try {
+      await db.insert('reference_data_audit', {
+        dataset,
+        table_name: definition.table,
+        action,
+        record_key: recordKey,
+        old_value: before ? JSON.stringify(before) : null,
+        new_value: after ? JSON.stringify(after) : null,
+        changed_by: actor,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Failed to write reference data audit', error, {
+        dataset,
+        table: definition.table,
+        action,
+        recordKey
+      });
+    }
+  }
+  
+  // Paginated audit trail, newest first
+  async listAudit(page = 1, limit = 50, options = {}) {
+    const { dataset = null } = options;
+    const offset = (page - 1) * limit;
+    
+    const { rows, total } = await db.executeWithRetry(async (supabase) => {
+      let query = supabase
+        .from('reference_data_audit')
+        .select('*', { count: 'exact' });
+      
+      if (dataset) {
+        query = query.eq('dataset', dataset);
+      }
+      
+      const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      
+      if (error) throw error;
+      return { rows: data || [], total: count || 0 };
+    });
+    
+    return {
+      entries: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+  
+  // Services call this at construction so a change can refresh their lists
+  registerReloader(dataset, reloadFn) {
+    if (!this.reloaders.has(dataset)) {
+      this.reloaders.set(dataset, []);
+    }
+    this.reloaders.get(dataset).push(reloadFn);
+  }
+  
+  // Reload one dataset in this instance - without a version the next check may reload it again
+  async reload(dataset, version = null) {
+    const reloadFns = this.reloaders.get(dataset);
+    if (!reloadFns) {
+      throw new NotFoundError('Reference dataset', dataset);
+    }
+    
+    await Promise.all(reloadFns.map(reloadFn => reloadFn()));
+    if (version !== null) {
+      this.loadedVersions.set(dataset, version);
+    }
+    
+    this.logger.info('Reference data reloaded', { dataset, version });
+    return { dataset, version };
+  }
+  
+  // Bump the dataset version so other instances pick the change up, then reload here
+  // bump_reference_data_version upserts the dataset's row in reference_data_versions with the
+  // next value of a sequence and returns it, so versions only ever grow, whichever instance wrote them
+  async publishChange(dataset) {
+    let version = null;
+    
+    try {
+      const bumped = await db.rpc('bump_reference_data_version', { p_dataset: dataset });
+      version = bumped === null || bumped === undefined ? null : Number(bumped);
+    } catch (error) {
+      this.logger.error('Failed to publish reference data version', error, { dataset });
+    }
+    
+    if (this.reloaders.has(dataset)) {
+      await this.reload(dataset, version);
+    }
+    
+    return version;
+  }
+  
+  // Cheap check run before validations - reloads datasets another instance has changed
+  async refreshIfStale() {
+    const now = Date.now();
+    if (now - this.lastVersionCheck < this.versionCheckInterval) {
+      return;
+    }
+    this.lastVersionCheck = now;
+    
+    try {
+      const { rows } = await db.select('reference_data_versions', {}, { columns: 'dataset, version' });
+      
+      for (const row of rows) {
+        // Only the database moves a version, so any difference is a change we haven't loaded
+        // (nothing recorded means the lists were loaded at start-up, before any version was seen)
+        const loaded = this.loadedVersions.get(row.dataset);
+        if (this.reloaders.has(row.dataset) && Number(row.version) !== loaded) {
+          await this.reload(row.dataset, Number(row.version));
+        }
+      }
+    } catch (error) {
+      this.logger.warn('Reference data version check failed', { error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const referenceDataService = new ReferenceDataService();
+
+// Export both the instance and the class
+export { referenceDataService, ReferenceDataService, REFERENCE_TABLES };
+export default referenceDataService;
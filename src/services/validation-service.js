@@ -14,9 +14,11 @@ import { emailValidationService } from './validation/email-validation-service.js
 import { NameValidationService } from './validation/name-validation-service.js';
 import { PhoneValidationService } from './validation/phone-validation-service.js';
 import { AddressValidationService } from './validation/address-validation-service.js';
+import { referenceDataService } from './reference-data-service.js';
 
 // Import external services
 import { openCageService } from './external/opencage.js';
+import { emailProviders, resolveProviderChain } from './external/email-providers.js';
 
 const logger = createServiceLogger('validation-service');
 
@@ -70,6 +72,7 @@ class ValidationService {
     const {
       clientId = null,
       skipZeroBounce = false,
+      skipSmtp = skipZeroBounce,
       timeout = config.services.zeroBounce.timeout,
       useCache = true
     } = options;
@@ -78,16 +81,21 @@ class ValidationService {
       email,
       clientId,
       skipZeroBounce,
+      skipSmtp,
       useCache
     });
     
     try {
+      // Pick up reference list edits made on another instance
+      await referenceDataService.refreshIfStale();
+      
       // Use the integrated email validation service
-      // It handles everything: cache check, format validation, typo correction, ZeroBounce
+      // It handles everything: cache check, format validation, typo correction, ZeroBounce, SMTP probe
       const result = await this.emailValidator.validateEmail(email, {
         clientId,
         useCache,
-        useZeroBounce: !skipZeroBounce
+        useZeroBounce: !skipZeroBounce,
+        useSmtp: !skipSmtp
       });
       
       return result;
@@ -103,10 +111,14 @@ class ValidationService {
       clientId = null,
       firstName = null,
       lastName = null,
+      locale = null,
+      country = null,
       useCache = true
     } = options;
     
     try {
+      await referenceDataService.refreshIfStale();
+      
       let result;
       
       if (firstName !== null || lastName !== null) {
@@ -114,13 +126,15 @@ class ValidationService {
         result = await this.nameValidator.validateSeparateNames(
           firstName || '',
           lastName || '',
-          { useCache, clientId }
+          { useCache, clientId, locale, country }
         );
       } else if (name) {
         // Validate full name
         result = await this.nameValidator.validateFullName(name, {
           useCache,
-          clientId
+          clientId,
+          locale,
+          country
         });
       } else {
         throw new ValidationError('Name or firstName/lastName required');
@@ -146,12 +160,24 @@ class ValidationService {
     return this.validateName(null, { ...options, firstName, lastName });
   }
   
+  // Guess a first/last name from an email address when no name was given
+  inferNameFromEmail(email) {
+    return this.nameValidator.inferNameFromEmail(email);
+  }
+  
+  // Compare two names (full strings or { first_name, last_name })
+  matchNames(name1, name2, options = {}) {
+    const { locale = null, country = null } = options;
+    return this.nameValidator.matchNames(name1, name2, { locale, country });
+  }
+  
   // Phone validation - UPDATED to ensure proper return format
   async validatePhone(phone, options = {}) {
     const {
       clientId = null,
       country = config.validation.phone.defaultCountry,
-      useCache = true
+      useCache = true,
+      outputFormat = null
     } = options;
     
     this.logger.debug('Starting phone validation', {
@@ -165,7 +191,8 @@ class ValidationService {
       const result = await this.phoneValidator.validatePhoneNumber(phone, {
         country,
         clientId,
-        useCache
+        useCache,
+        outputFormat
       });
       
       // Ensure the result has all the required fields for queue-service
@@ -194,14 +221,27 @@ class ValidationService {
       
       // Check cache
       if (useCache && result.e164) {
-        const cached = await this.phoneValidator.checkPhoneCache(result.e164);
+        const cached = await this.phoneValidator.checkPhoneCache(result.e164, {
+          format: result.outputFormat,
+          dialFrom: result.dialFromCountry
+        });
         if (cached) {
-          return { ...enhancedResult, ...cached, isFromCache: true };
+          let merged = { ...enhancedResult, ...cached, isFromCache: true };
+          
+          // Cache rows hold the bare number with no client policy - restore both
+          // (applyExtension re-renders in the requested output format)
+          if (result.extension) {
+            merged = this.phoneValidator.applyExtension(merged, result.extension, phone);
+          }
+          merged = this.phoneValidator.applyTypeDecision(merged, result.typePolicyDecision);
+          merged.isValid = merged.valid;
+          
+          return merged;
         }
       }
       
-      // Save to cache if valid
-      if (useCache && result.valid) {
+      // Save to cache if valid - the cache is keyed on the bare number, so not with an extension
+      if (useCache && result.valid && !result.extension) {
         await this.phoneValidator.savePhoneCache(phone, enhancedResult, clientId);
       }
       
@@ -212,6 +252,29 @@ class ValidationService {
     }
   }
   
+  // Phone numbers (with extension and offsets) found in free text
+  findPhoneNumbers(text, options = {}) {
+    const { country = config.validation.phone.defaultCountry } = options;
+    return this.phoneValidator.findPhoneNumbers(text, country);
+  }
+  
+  // Find and validate every phone number in free text
+  async extractPhoneNumbers(text, options = {}) {
+    const {
+      clientId = null,
+      country = config.validation.phone.defaultCountry,
+      useCache = true,
+      outputFormat = null
+    } = options;
+    
+    try {
+      return await this.phoneValidator.extractPhoneNumbers(text, { clientId, country, useCache, outputFormat });
+    } catch (error) {
+      this.logger.error('Phone extraction failed', error, { length: text?.length });
+      throw new ValidationError(`Phone extraction failed: ${error.message}`);
+    }
+  }
+  
   // Address validation - UPDATED to ensure proper return format
   async validateAddress(address, options = {}) {
     const {
@@ -548,6 +611,16 @@ class ValidationService {
           enabled: config.services.zeroBounce.enabled,
           integrated: 'In EmailValidationService'
         },
+        emailProviders: {
+          chain: resolveProviderChain(),
+          providers: Object.fromEntries(
+            [...emailProviders.entries()].map(([name, provider]) => [name, {
+              enabled: provider.isEnabled(),
+              available: provider.isAvailable()
+            }])
+          )
+        },
+        smtpProbe: this.emailValidator.smtpProbe.getStats(),
         openCage: {
           enabled: config.services.openCage.enabled,
           state: this.openCage.getCircuitBreakerState ? this.openCage.getCircuitBreakerState() : 'unknown'
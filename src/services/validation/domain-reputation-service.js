@@ -0,0 +1,222 @@
+// src/services/validation/domain-reputation-service.js
+import crypto from 'crypto';
+import db from '../../core/db.js';
+import { config } from '../../core/config.js';
+import { createServiceLogger } from '../../core/logger.js';
+import { ValidationError } from '../../core/errors.js';
+import { referenceDataService } from '../reference-data-service.js';
+
+const logger = createServiceLogger('domain-reputation-service');
+
+// Provider statuses -> the counter they feed
+const STATUS_COUNTERS = {
+  valid: 'valid_count',
+  invalid: 'invalid_count',
+  spamtrap: 'invalid_count',
+  abuse: 'invalid_count',
+  do_not_mail: 'invalid_count',
+  'catch-all': 'catch_all_count',
+  unknown: 'unknown_count'
+};
+
+// Sort columns admins may list by
+const SORT_COLUMNS = ['total_count', 'valid_count', 'invalid_count', 'catch_all_count', 'last_seen_at'];
+
+class DomainReputationService {
+  constructor() {
+    this.logger = logger;
+    
+    // Recently read rows, so a burst of lookups for one domain hits the database once
+    this.reputationCache = new Map();
+    this.cacheTTL = 300000; // 5 minutes
+  }
+  
+  // Short hash of the domain's MX hosts - changes when the domain moves mail hosting
+  getMxFingerprint(mxRecords = []) {
+    const hosts = mxRecords
+      .map(record => (record.exchange || '').toLowerCase().replace(/\.$/, ''))
+      .filter(Boolean)
+      .sort();
+    
+    if (hosts.length === 0) {
+      return null;
+    }
+    
+    return crypto.createHash('sha1').update(hosts.join(',')).digest('hex').substring(0, 16);
+  }
+  
+  // Fold one provider verdict into the domain's statistics
+  // record_domain_verdict does it in one statement (insert ... on conflict do update), so
+  // concurrent verdicts for a domain all count. It zeroes the counters first when the
+  // fingerprint differs from the stored one (a new mail host makes old verdicts meaningless),
+  // keeps the stored fingerprint when none is given, and returns true when it reset them.
+  async recordVerdict(domain, providerStatus, options = {}) {
+    const { mxRecords = [], source = null } = options;
+    
+    if (!config.validation.email.domainReputation.enabled || !domain) {
+      return;
+    }
+    
+    const counter = STATUS_COUNTERS[providerStatus] || STATUS_COUNTERS.unknown;
+    
+    try {
+      const rehosted = await db.rpc('record_domain_verdict', {
+        p_domain: domain,
+        p_counter: counter,
+        p_status: providerStatus,
+        p_source: source,
+        p_mx_fingerprint: this.getMxFingerprint(mxRecords)
+      });
+      
+      if (rehosted === true) {
+        this.logger.info('Domain MX changed, reputation reset', { domain });
+      }
+      
+      this.reputationCache.delete(domain);
+    } catch (error) {
+      this.logger.error('Failed to record domain verdict', error, { domain, providerStatus });
+    }
+  }
+  
+  // Raw reputation row for a domain, or null
+  async fetchReputation(domain) {
+    const result = await db.select('domain_reputation', { domain }, { limit: 1 });
+    return result?.rows?.[0] || null;
+  }
+  
+  // Reputation summary with an informed guess, or null when we have too little data
+  async getReputation(domain) {
+    if (!config.validation.email.domainReputation.enabled || !domain) {
+      return null;
+    }
+    
+    const cached = this.reputationCache.get(domain);
+    if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
+      return cached.data;
+    }
+    
+    try {
+      const row = await this.fetchReputation(domain);
+      const data = row ? this.summarize(row) : null;
+      
+      this.reputationCache.set(domain, { data, timestamp: Date.now() });
+      return data;
+    } catch (error) {
+      this.logger.error('Failed to read domain reputation', error, { domain });
+      return null;
+    }
+  }
+  
+  // Turn counters into rates and a guess
+  summarize(row) {
+    const { minSamples, likelyValidRate, likelyInvalidRate, catchAllRate } = config.validation.email.domainReputation;
+    const total = row.total_count || 0;
+    const rate = (count) => total > 0 ? Math.round(((count || 0) / total) * 1000) / 1000 : 0;
+    
+    const rates = {
+      valid: rate(row.valid_count),
+      invalid: rate(row.invalid_count),
+      catchAll: rate(row.catch_all_count),
+      unknown: rate(row.unknown_count)
+    };
+    
+    let guess = null;
+    if (total >= minSamples) {
+      if (rates.catchAll >= catchAllRate) {
+        guess = 'catch_all';
+      } else if (rates.valid >= likelyValidRate) {
+        guess = 'likely_valid';
+      } else if (rates.invalid >= likelyInvalidRate) {
+        guess = 'likely_invalid';
+      }
+    }
+    
+    return {
+      domain: row.domain,
+      samples: total,
+      rates,
+      guess,
+      lastStatus: row.last_status,
+      lastSeenAt: row.last_seen_at,
+      mxFingerprint: row.mx_fingerprint,
+      promotedTo: row.promoted_to || null
+    };
+  }
+  
+  // Paginated list for the admin endpoints
+  async listReputation(page = 1, limit = 20, options = {}) {
+    const { sort = 'total_count', minSamples = 0 } = options;
+    const offset = (page - 1) * limit;
+    const sortColumn = SORT_COLUMNS.includes(sort) ? sort : 'total_count';
+    
+    const { rows, total } = await db.executeWithRetry(async (supabase) => {
+      const { data, count, error } = await supabase
+        .from('domain_reputation')
+        .select('*', { count: 'exact' })
+        .gte('total_count', minSamples)
+        .order(sortColumn, { ascending: false })
+        .range(offset, offset + limit - 1);
+      
+      if (error) throw error;
+      return { rows: data || [], total: count || 0 };
+    });
+    
+    return {
+      domains: rows.map(row => this.summarize(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+  
+  // Copy a domain into valid_domains or invalid_domains (and out of the other list)
+  async promoteDomain(domain, target) {
+    const tables = { valid: 'valid_domains', invalid: 'invalid_domains' };
+    const table = tables[target];
+    
+    if (!table) {
+      throw new ValidationError(`Unknown promotion target: ${target}`);
+    }
+    
+    const otherTable = target === 'valid' ? tables.invalid : tables.valid;
+    
+    const existing = await db.select(table, { domain }, { limit: 1 });
+    if (!existing?.rows?.length) {
+      await db.insert(table, { domain });
+    }
+    await db.delete(otherTable, { domain });
+    
+    await db.update('domain_reputation', {
+      promoted_to: target,
+      updated_at: new Date().toISOString()
+    }, { domain }, { returning: false });
+    
+    this.reputationCache.delete(domain);
+    this.logger.info('Domain promoted from reputation data', { domain, target });
+    
+    // The email service keeps both lists in memory
+    await referenceDataService.publishChange('email');
+    
+    return { domain, promotedTo: target };
+  }
+  
+  // Clean up old cache entries periodically
+  cleanupCache() {
+    const now = Date.now();
+    for (const [domain, entry] of this.reputationCache.entries()) {
+      if (now - entry.timestamp > this.cacheTTL) {
+        this.reputationCache.delete(domain);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const domainReputationService = new DomainReputationService();
+
+// Export both the instance and the class
+export { domainReputationService, DomainReputationService };
+export default domainReputationService;
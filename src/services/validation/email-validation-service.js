@@ -1,7 +1,10 @@
 // src/services/validation/email-validation-service.js
 import dns from 'dns';
+import crypto from 'crypto';
 import { promisify } from 'util';
+import { domainToASCII, domainToUnicode } from 'url';
 import validator from 'validator';
+import { parse as parseDomain } from 'tldts';
 import db from '../../core/db.js';
 import { config } from '../../core/config.js';
 import { createServiceLogger } from '../../core/logger.js';
@@ -9,19 +12,102 @@ import {
   ValidationError, 
   ErrorRecovery 
 } from '../../core/errors.js';
-import { zeroBounceService } from '../external/zerobounce.js';
+import { getEmailProvider, resolveProviderChain } from '../external/email-providers.js';
+import { smtpProbeService } from '../external/smtp-probe.js';
+import { damerauLevenshtein } from './string-similarity.js';
+import { domainReputationService } from './domain-reputation-service.js';
+import { referenceDataService } from '../reference-data-service.js';
+import clientService from '../client-service.js';
 
 const logger = createServiceLogger('email-validation-service');
 
 // Promisify DNS functions for async/await
 const resolveMx = promisify(dns.resolveMx);
+const resolve4 = promisify(dns.resolve4);
+const resolve6 = promisify(dns.resolve6);
+const resolveTxt = promisify(dns.resolveTxt);
+
+// Any character outside US-ASCII (EAI local parts need SMTPUTF8)
+const NON_ASCII_PATTERN = /[\u0080-\uffff]/;
+
+// Points each factor contributes to the 0-100 email score
+const EMAIL_SCORE_WEIGHTS = {
+  valid_format: 10,
+  known_domain: 10,
+  unknown_domain: 5,
+  invalid_domain: -30,
+  mx_records: 20,
+  implicit_mx: 10,
+  no_mx_records: -30,
+  null_mx: -40,
+  spf: 3,
+  dmarc: 4,
+  mta_sts: 3,
+  verified_valid: 50,
+  cached_valid: 50,
+  domain_heuristic: 20,
+  reputation_likely_valid: 15,
+  reputation_likely_invalid: -20,
+  catch_all: 15,
+  greylisted: 5,
+  verified_unknown: 5,
+  verified_invalid: -40,
+  typo_corrected: -5,
+  unresolved_typo: -15,
+  role_account: -10,
+  disposable: -50,
+  free_provider: -5,
+  // Scaled by how far a cached result is into its maximum age
+  cache_age: -20
+};
+
+// Shortest domain name (before the first dot) fuzzy typo matching looks at - one key in
+// "mw.com" or "ge.com" is half the name, and those are real domains
+const MIN_TYPO_LABEL_LENGTH = 3;
+
+// Provider addressing rules used to build the canonical (dedupe) form of an address
+const CANONICAL_RULES = [
+  {
+    name: 'gmail',
+    match: (domain) => domain === 'gmail.com' || domain === 'googlemail.com',
+    canonicalDomain: 'gmail.com',
+    tagSeparator: '+',
+    ignoreDots: true
+  },
+  {
+    name: 'microsoft',
+    match: (domain) => /^(outlook|hotmail|live)\.[a-z.]+$/.test(domain) || domain === 'msn.com',
+    tagSeparator: '+'
+  },
+  {
+    name: 'yahoo',
+    match: (domain) => /^yahoo\.[a-z.]+$/.test(domain) || domain === 'ymail.com' || domain === 'rocketmail.com',
+    tagSeparator: '-'
+  },
+  {
+    name: 'fastmail',
+    match: (domain) => /(^|\.)fastmail\.(com|fm)$/.test(domain),
+    tagSeparator: '+',
+    subdomainAddressing: true
+  },
+  {
+    name: 'apple',
+    match: (domain) => ['icloud.com', 'me.com', 'mac.com'].includes(domain),
+    tagSeparator: '+'
+  },
+  {
+    name: 'proton',
+    match: (domain) => ['protonmail.com', 'protonmail.ch', 'proton.me', 'pm.me'].includes(domain),
+    tagSeparator: '+'
+  }
+];
 
 class EmailValidationService {
   constructor() {
     this.logger = logger;
     
-    // Use the external ZeroBounce service
-    this.zeroBounce = zeroBounceService;
+    // Built-in SMTP mailbox probe (fallback when no verification provider answers)
+    this.smtpProbe = smtpProbeService;
     
     // Initialize normalization data
     this.validDomains = new Set();
@@ -30,32 +116,31 @@ class EmailValidationService {
     this.validTlds = new Set();
     this.tldTypos = new Map();
     
+    // Classification lists (role accounts, disposable and free providers)
+    this.roleAccounts = new Set();
+    this.disposableDomains = new Set();
+    this.freeEmailProviders = new Set();
+    
     // MX record cache to avoid repeated DNS lookups
     this.mxCache = new Map();
     this.mxCacheTTL = 3600000; // 1 hour
     
-    // Load normalization data on startup
+    // Catch-all verdicts per domain (mirrors the catch_all_domains table)
+    this.catchAllCache = new Map();
+    this.catchAllTTL = config.validation.email.catchAllTtl;
+    
+    // Load normalization data on startup; admin edits to the lists trigger a reload
     this.loadNormalizationData();
+    referenceDataService.registerReloader('email', () => this.loadNormalizationData());
   }
   
-  // Get client account type
-  async getClientAccountType(clientId) {
+  // Client's account type and email policy settings - the whole cached client row, so a missing
+  // policy column only loses its own setting
+  async getClientSettings(clientId) {
     try {
-      const result = await db.select('clients', 
-        { client_id: clientId }, 
-        { 
-          columns: 'um_account_type',
-          limit: 1
-        }
-      );
-      
-      if (result && result.rows && result.rows.length > 0) {
-        return result.rows[0];
-      }
-      
-      return null;
+      return await clientService.getClient(clientId);
     } catch (error) {
-      this.logger.error('Failed to get client account type', error, { clientId });
+      this.logger.warn('Failed to get client settings', { clientId, error: error.message });
       return null;
     }
   }
@@ -68,37 +153,54 @@ class EmailValidationService {
         invalidDomainsData, 
         domainTyposData, 
         validTldsData,
-        tldTyposData
+        tldTyposData,
+        roleAccountsData,
+        disposableDomainsData,
+        freeProvidersData
       ] = await Promise.all([
-        db.select('valid_domains', {}, { columns: 'domain' }).catch(() => ({ rows: [] })),
-        db.select('invalid_domains', {}, { columns: 'domain' }).catch(() => ({ rows: [] })),
-        db.select('domain_typos', {}, { columns: 'typo_domain, correct_domain' }).catch(() => ({ rows: [] })),
-        db.select('valid_tlds', {}, { columns: 'tld' }).catch(() => ({ rows: [] })),
-        db.select('tld_typos', {}, { columns: 'typo_tld, correct_tld' }).catch(() => ({ rows: [] }))
+        db.select('valid_domains', {}, { columns: 'domain' }).catch(() => null),
+        db.select('invalid_domains', {}, { columns: 'domain' }).catch(() => null),
+        db.select('domain_typos', {}, { columns: 'typo_domain, correct_domain' }).catch(() => null),
+        db.select('valid_tlds', {}, { columns: 'tld' }).catch(() => null),
+        db.select('tld_typos', {}, { columns: 'typo_tld, correct_tld' }).catch(() => null),
+        db.select('role_accounts', {}, { columns: 'local_part' }).catch(() => null),
+        db.select('disposable_domains', {}, { columns: 'domain' }).catch(() => null),
+        db.select('free_email_providers', {}, { columns: 'domain' }).catch(() => null)
       ]);
       
-      // Populate sets and maps
+      // Replace each list that loaded in one synchronous step - on a reload, requests in
+      // flight keep seeing the previous list until the new one is complete
       if (validDomainsData?.rows) {
-        validDomainsData.rows.forEach(row => this.validDomains.add(row.domain.toLowerCase()));
+        this.validDomains = new Set(validDomainsData.rows.map(row => this.toUnicodeDomain(row.domain)));
       }
       if (invalidDomainsData?.rows) {
-        invalidDomainsData.rows.forEach(row => this.invalidDomains.add(row.domain.toLowerCase()));
+        this.invalidDomains = new Set(invalidDomainsData.rows.map(row => this.toUnicodeDomain(row.domain)));
       }
       if (domainTyposData?.rows) {
-        domainTyposData.rows.forEach(row => {
-          this.domainTypos.set(row.typo_domain.toLowerCase(), row.correct_domain.toLowerCase());
-        });
+        this.domainTypos = new Map(
+          domainTyposData.rows.map(row => [row.typo_domain.toLowerCase(), row.correct_domain.toLowerCase()])
+        );
       }
       if (validTldsData?.rows) {
-        validTldsData.rows.forEach(row => this.validTlds.add(row.tld.toLowerCase()));
+        this.validTlds = new Set(validTldsData.rows.map(row => row.tld.toLowerCase()));
       }
       
       // Load TLD typos
-      this.tldTypos = new Map();
       if (tldTyposData?.rows) {
-        tldTyposData.rows.forEach(row => {
-          this.tldTypos.set(row.typo_tld.toLowerCase(), row.correct_tld.toLowerCase());
-        });
+        this.tldTypos = new Map(
+          tldTyposData.rows.map(row => [row.typo_tld.toLowerCase(), row.correct_tld.toLowerCase()])
+        );
+      }
+      
+      // Load classification lists
+      if (roleAccountsData?.rows) {
+        this.roleAccounts = new Set(roleAccountsData.rows.map(row => row.local_part.toLowerCase()));
+      }
+      if (disposableDomainsData?.rows) {
+        this.disposableDomains = new Set(disposableDomainsData.rows.map(row => this.toUnicodeDomain(row.domain)));
+      }
+      if (freeProvidersData?.rows) {
+        this.freeEmailProviders = new Set(freeProvidersData.rows.map(row => this.toUnicodeDomain(row.domain)));
       }
       
       // Initialize default data if database is empty
@@ -109,7 +211,10 @@ class EmailValidationService {
         invalidDomains: this.invalidDomains.size,
         domainTypos: this.domainTypos.size,
         validTlds: this.validTlds.size,
-        tldTypos: this.tldTypos.size
+        tldTypos: this.tldTypos.size,
+        roleAccounts: this.roleAccounts.size,
+        disposableDomains: this.disposableDomains.size,
+        freeEmailProviders: this.freeEmailProviders.size
       });
     } catch (error) {
       this.logger.error('Failed to load normalization data', error);
@@ -137,18 +242,47 @@ class EmailValidationService {
       defaultValidDomains.forEach(d => this.validDomains.add(d));
     }
     
-    // Default invalid domains
+    // Default invalid domains (disposable providers live in disposableDomains)
     if (this.invalidDomains.size === 0) {
       const defaultInvalidDomains = [
-        'example.com', 'test.com', 'email.com', 'tempmail.com', 'throwaway.email',
-        'guerrillamail.com', '10minutemail.com', 'mailinator.com', 'maildrop.cc',
-        'trashmail.com', 'fake.com', 'dummy.com', 'nowhere.com', 'noemail.com',
-        'bounce.com', 'blocked.com', 'invalid.com', 'noreply.com', 'donotreply.com',
-        'dispostable.com', 'fakeinbox.com', 'yopmail.com'
+        'example.com', 'test.com', 'email.com', 'fake.com', 'dummy.com',
+        'nowhere.com', 'noemail.com', 'bounce.com', 'blocked.com', 'invalid.com',
+        'noreply.com', 'donotreply.com'
       ];
       defaultInvalidDomains.forEach(d => this.invalidDomains.add(d));
     }
     
+    // Default disposable domains
+    if (this.disposableDomains.size === 0) {
+      const defaultDisposableDomains = [
+        'tempmail.com', 'throwaway.email', 'guerrillamail.com', '10minutemail.com',
+        'mailinator.com', 'maildrop.cc', 'trashmail.com', 'dispostable.com',
+        'fakeinbox.com', 'yopmail.com', 'temp-mail.org', 'getnada.com',
+        'sharklasers.com', 'guerrillamail.net', 'mailnesia.com', 'mintemail.com',
+        'spamgourmet.com', 'mohmal.com', 'emailondeck.com', 'burnermail.io'
+      ];
+      defaultDisposableDomains.forEach(d => this.disposableDomains.add(d));
+    }
+    
+    // Default role account local parts
+    if (this.roleAccounts.size === 0) {
+      const defaultRoleAccounts = [
+        'admin', 'administrator', 'info', 'sales', 'support', 'help', 'contact',
+        'office', 'billing', 'accounts', 'accounting', 'finance', 'hr', 'jobs',
+        'careers', 'marketing', 'media', 'press', 'pr', 'team', 'hello',
+        'enquiries', 'inquiries', 'service', 'customerservice', 'webmaster',
+        'postmaster', 'hostmaster', 'abuse', 'security', 'noreply', 'no-reply',
+        'donotreply', 'do-not-reply', 'mail', 'mailer-daemon', 'root', 'all',
+        'staff', 'legal', 'compliance', 'privacy', 'orders', 'feedback', 'newsletter'
+      ];
+      defaultRoleAccounts.forEach(r => this.roleAccounts.add(r));
+    }
+    
+    // Default free providers - the known consumer mailbox domains
+    if (this.freeEmailProviders.size === 0) {
+      this.validDomains.forEach(d => this.freeEmailProviders.add(d));
+    }
+    
     // Default domain typos
     if (this.domainTypos.size === 0) {
       const defaultTypos = new Map([
@@ -241,15 +375,134 @@ class EmailValidationService {
     return Number(`${lastSixDigits}${clientIdStr}${checkDigit}${config.unmessy.version.replace(/\./g, '')}`);
   }
   
+  // IDNA: ASCII (punycode) form of a domain for DNS and SMTP
+  toAsciiDomain(domain) {
+    if (!domain) return domain;
+    const lowered = domain.trim().toLowerCase();
+    return domainToASCII(lowered) || lowered;
+  }
+  
+  // IDNA: Unicode display form of a domain, whichever form it arrived in
+  toUnicodeDomain(domain) {
+    if (!domain) return domain;
+    const ascii = this.toAsciiDomain(domain);
+    return domainToUnicode(ascii) || ascii;
+  }
+  
+  // Split an address into its display (Unicode) and wire (ASCII domain) forms
+  normalizeEmailAddress(email) {
+    if (!email || typeof email !== 'string') {
+      return null;
+    }
+    
+    const trimmed = email.trim();
+    const atIndex = trimmed.lastIndexOf('@');
+    if (atIndex === -1) {
+      return null;
+    }
+    
+    const localPart = trimmed.substring(0, atIndex).normalize('NFC');
+    const rawDomain = trimmed.substring(atIndex + 1);
+    const asciiDomain = this.toAsciiDomain(rawDomain);
+    const unicodeDomain = this.toUnicodeDomain(rawDomain);
+    
+    return {
+      email: `${localPart}@${unicodeDomain}`,
+      asciiEmail: `${localPart}@${asciiDomain}`,
+      localPart,
+      domain: unicodeDomain,
+      asciiDomain,
+      isIdnDomain: asciiDomain !== unicodeDomain,
+      // EAI addresses can only be delivered by servers that speak SMTPUTF8
+      requiresSmtpUtf8: NON_ASCII_PATTERN.test(localPart)
+    };
+  }
+  
+  // Address with the domain in punycode - what DNS, SMTP and providers get
+  toAsciiEmail(email) {
+    return this.normalizeEmailAddress(email)?.asciiEmail || email;
+  }
+  
+  // Address with the domain in Unicode - what we show
+  toDisplayEmail(email) {
+    return this.normalizeEmailAddress(email)?.email || email;
+  }
+  
+  // Both IDN forms of an address map to the same email_validations record
+  getEmailCacheKey(email) {
+    const normalized = this.normalizeEmailAddress(email);
+    if (!normalized) {
+      return email.toLowerCase();
+    }
+    
+    return `${normalized.localPart.toLowerCase()}@${normalized.asciiDomain}`;
+  }
+  
+  // Keys the address may have been cached under before keys used the punycode domain
+  getLegacyEmailCacheKeys(email) {
+    const normalized = this.normalizeEmailAddress(email);
+    const candidates = [email.toLowerCase()];
+    if (normalized) {
+      candidates.push(normalized.email.toLowerCase());
+    }
+    
+    const cacheKey = this.getEmailCacheKey(email);
+    return [...new Set(candidates)].filter(key => key !== cacheKey);
+  }
+  
+  // Registrable domain under the public suffix ("mail.eu.acme.co.uk" -> "acme.co.uk")
+  getCompanyDomain(domain) {
+    if (!domain) return null;
+    
+    const parsed = parseDomain(this.toAsciiDomain(domain), { allowPrivateDomains: false });
+    return parsed.domain ? this.toUnicodeDomain(parsed.domain) : null;
+  }
+  
+  // Free (personal mailbox), disposable or business domain, plus the company domain for business ones
+  getDomainClassification(email) {
+    const domain = this.normalizeEmailAddress(email)?.domain;
+    const registrableDomain = this.getCompanyDomain(domain);
+    
+    if (!registrableDomain) {
+      return { um_email_domain_type: null, um_company_domain: null };
+    }
+    
+    // Subdomains of a free provider (e.g. "mail.yahoo.co.uk") are still personal
+    const isListed = (set) => set.has(domain) || set.has(registrableDomain);
+    
+    if (isListed(this.freeEmailProviders)) {
+      return { um_email_domain_type: 'free', um_company_domain: null };
+    }
+    if (isListed(this.disposableDomains)) {
+      return { um_email_domain_type: 'disposable', um_company_domain: null };
+    }
+    
+    return { um_email_domain_type: 'business', um_company_domain: registrableDomain };
+  }
+  
+  // Internationalization fields for results
+  getInternationalFields(email) {
+    const normalized = this.normalizeEmailAddress(email);
+    
+    return {
+      um_email_ascii: normalized?.asciiEmail || null,
+      is_idn_domain: normalized?.isIdnDomain || false,
+      requires_smtputf8: normalized?.requiresSmtpUtf8 || false
+    };
+  }
+  
   // Email typo correction
-  async correctEmailTypos(email) {
+  async correctEmailTypos(email, options = {}) {
+    const { autoCorrectConfidence = config.validation.email.typoAutoCorrectConfidence } = options;
+    
     if (!email) {
-      return { corrected: false, email, suggestions: [] };
+      return { corrected: false, email, suggestions: [], didYouMean: null };
     }
     
     let corrected = false;
     let cleanedEmail = email.trim().toLowerCase();
     const suggestions = [];
+    let didYouMean = null;
     
     // Remove spaces
     const noSpaceEmail = cleanedEmail.replace(/\s/g, '');
@@ -262,10 +515,13 @@ class EmailValidationService {
     const [localPart, domain] = cleanedEmail.split('@');
     
     if (domain) {
+      let currentDomain = domain;
+      
       // Check domain typos
       if (this.domainTypos.has(domain)) {
         const correctDomain = this.domainTypos.get(domain);
         cleanedEmail = `${localPart}@${correctDomain}`;
+        currentDomain = correctDomain;
         corrected = true;
         suggestions.push({
           type: 'domain_typo',
@@ -275,28 +531,117 @@ class EmailValidationService {
         });
       }
       
-      // Handle Gmail aliases
-      if (config.validation.email.removeGmailAliases && domain === 'gmail.com' && localPart.includes('+')) {
-        const baseLocal = localPart.split('+')[0];
-        cleanedEmail = `${baseLocal}@gmail.com`;
-        corrected = true;
-      }
-      
       // Check TLD corrections
-      const tldCorrectedDomain = await this.checkTldCorrection(domain);
+      const tldCorrectedDomain = await this.checkTldCorrection(currentDomain);
       if (tldCorrectedDomain) {
         cleanedEmail = `${localPart}@${tldCorrectedDomain}`;
         corrected = true;
         suggestions.push({
           type: 'tld_correction',
-          original: domain,
+          original: currentDomain,
           suggestion: tldCorrectedDomain,
           email: cleanedEmail
         });
+        currentDomain = tldCorrectedDomain;
+      }
+      
+      // Fuzzy match against known domains for typos the static maps don't cover
+      const match = this.findDomainSuggestion(currentDomain);
+      if (match) {
+        const suggestedEmail = `${localPart}@${match.domain}`;
+        
+        // A domain that receives mail is only ever suggested, never rewritten
+        const confident = !match.ambiguous && match.confidence >= autoCorrectConfidence;
+        const applied = confident && !(await this.checkMxRecords(currentDomain, { force: true })).hasMxRecords;
+        
+        suggestions.push({
+          type: 'domain_fuzzy',
+          original: currentDomain,
+          suggestion: match.domain,
+          email: suggestedEmail,
+          confidence: match.confidence,
+          distance: match.distance,
+          applied
+        });
+        
+        if (applied) {
+          cleanedEmail = suggestedEmail;
+          currentDomain = match.domain;
+          corrected = true;
+        } else {
+          didYouMean = suggestedEmail;
+        }
+      }
+    }
+    
+    return { corrected, email: cleanedEmail, suggestions, didYouMean };
+  }
+  
+  // Find the closest known domain using keyboard-aware Damerau-Levenshtein distance
+  findDomainSuggestion(domain) {
+    if (!domain || this.validDomains.has(domain) || this.invalidDomains.has(domain)) {
+      return null;
+    }
+    
+    const {
+      typoSuggestionConfidence: minConfidence,
+      typoMaxDistance: maxDistance
+    } = config.validation.email;
+    
+    // Same provider on another valid TLD (yahoo.com.br vs yahoo.com.au) is not a typo
+    const dotIndex = domain.indexOf('.');
+    const name = domain.substring(0, dotIndex);
+    const hasValidTld = dotIndex > 0 && this.validTlds.has(domain.substring(dotIndex));
+    
+    if (dotIndex >= 0 && name.length < MIN_TYPO_LABEL_LENGTH) {
+      return null;
+    }
+    
+    let best = null;
+    let ambiguous = false;
+    
+    for (const candidate of this.validDomains) {
+      // Cheap length filter before the full distance calculation
+      if (Math.abs(candidate.length - domain.length) > maxDistance) {
+        continue;
       }
+      
+      if (hasValidTld && candidate.startsWith(`${name}.`)) {
+        continue;
+      }
+      
+      const distance = damerauLevenshtein(domain, candidate);
+      if (distance > maxDistance) {
+        continue;
+      }
+      
+      if (!best || distance < best.distance) {
+        best = { domain: candidate, distance };
+        ambiguous = false;
+      } else if (distance === best.distance) {
+        ambiguous = true;
+      }
+    }
+    
+    if (!best) {
+      return null;
     }
     
-    return { corrected, email: cleanedEmail, suggestions };
+    const confidence = Math.round((1 - best.distance / Math.max(domain.length, best.domain.length)) * 100) / 100;
+    
+    if (confidence < minConfidence) {
+      return null;
+    }
+    
+    this.logger.debug('Fuzzy domain match found', {
+      domain,
+      suggestion: best.domain,
+      distance: best.distance,
+      confidence,
+      ambiguous
+    });
+    
+    return { domain: best.domain, distance: best.distance, confidence, ambiguous };
   }
   
   // Check for TLD corrections
@@ -347,12 +692,18 @@ class EmailValidationService {
   }
   
   // MX Record lookup with caching
-  async checkMxRecords(domain) {
-    // Check if MX check is enabled in config
-    if (!config.validation.email.checkMxRecords) {
+  // Falls back to the implicit MX (A/AAAA) per RFC 5321 and honours RFC 7505 null MX
+  async checkMxRecords(domain, options = {}) {
+    const { force = false } = options;
+    
+    // Check if MX check is enabled in config (SMTP probing forces a lookup)
+    if (!force && !config.validation.email.checkMxRecords) {
       return { hasMxRecords: true, mxRecords: [], fromCache: false, skipped: true };
     }
     
+    // DNS only understands the ASCII form of IDN domains
+    domain = this.toAsciiDomain(domain);
+    
     // Check cache first
     const cached = this.mxCache.get(domain);
     if (cached && Date.now() - cached.timestamp < this.mxCacheTTL) {
@@ -363,18 +714,52 @@ class EmailValidationService {
     try {
       this.logger.debug('Checking MX records for domain', { domain });
       
-      // Perform DNS MX lookup
-      const mxRecords = await resolveMx(domain);
+      // Perform DNS MX and mail-auth lookups side by side
+      const [mxRecords, auth] = await Promise.all([
+        this.resolveMailExchangers(domain),
+        this.checkMailAuth(domain)
+      ]);
       
       // Sort by priority (lower number = higher priority)
       mxRecords.sort((a, b) => a.priority - b.priority);
       
-      const result = {
-        hasMxRecords: mxRecords.length > 0,
-        mxRecords: mxRecords,
-        primaryMx: mxRecords[0]?.exchange || null,
-        fromCache: false
-      };
+      // A single "." exchange is a null MX - the domain accepts no mail
+      const nullMx = mxRecords.length === 1 && ['', '.'].includes(mxRecords[0].exchange);
+      
+      let result;
+      if (nullMx) {
+        result = {
+          hasMxRecords: false,
+          mxRecords: [],
+          primaryMx: null,
+          nullMx: true,
+          implicitMx: false,
+          auth,
+          fromCache: false
+        };
+      } else if (mxRecords.length > 0) {
+        result = {
+          hasMxRecords: true,
+          mxRecords: mxRecords,
+          primaryMx: mxRecords[0].exchange,
+          nullMx: false,
+          implicitMx: false,
+          auth,
+          fromCache: false
+        };
+      } else {
+        // No MX - mail goes to the domain's own address records, if any
+        const hasAddress = await this.hasAddressRecords(domain);
+        result = {
+          hasMxRecords: hasAddress,
+          mxRecords: hasAddress ? [{ exchange: domain, priority: 0 }] : [],
+          primaryMx: hasAddress ? domain : null,
+          nullMx: false,
+          implicitMx: hasAddress,
+          auth,
+          fromCache: false
+        };
+      }
       
       // Cache the result
       this.mxCache.set(domain, {
@@ -385,19 +770,24 @@ class EmailValidationService {
       this.logger.debug('MX records check completed', { 
         domain, 
         hasMxRecords: result.hasMxRecords,
-        recordCount: mxRecords.length 
+        nullMx: result.nullMx,
+        implicitMx: result.implicitMx,
+        recordCount: result.mxRecords.length 
       });
       
       return result;
     } catch (error) {
       this.logger.debug('MX record lookup failed', { domain, error: error.message });
       
-      // Check if it's a DNS error (no records found)
-      if (error.code === 'ENODATA' || error.code === 'ENOTFOUND') {
+      // The domain itself does not exist
+      if (error.code === 'ENOTFOUND') {
         const result = {
           hasMxRecords: false,
           mxRecords: [],
           primaryMx: null,
+          nullMx: false,
+          implicitMx: false,
+          auth: null,
           fromCache: false
         };
         
@@ -422,6 +812,77 @@ class EmailValidationService {
     }
   }
   
+  // MX records for a domain, or an empty list when the domain exists without any
+  async resolveMailExchangers(domain) {
+    try {
+      return await resolveMx(domain);
+    } catch (error) {
+      if (error.code === 'ENODATA') {
+        return [];
+      }
+      throw error;
+    }
+  }
+  
+  // Whether the domain resolves to an IPv4 or IPv6 address (implicit MX)
+  async hasAddressRecords(domain) {
+    const lookups = await Promise.allSettled([resolve4(domain), resolve6(domain)]);
+    return lookups.some(lookup => lookup.status === 'fulfilled' && lookup.value.length > 0);
+  }
+  
+  // SPF, DMARC and MTA-STS presence - quality signals, never a verdict on their own
+  async checkMailAuth(domain) {
+    if (!config.validation.email.checkMailAuth) {
+      return null;
+    }
+    
+    const [rootTxt, dmarcTxt, mtaStsTxt] = await Promise.all([
+      this.resolveTxtRecords(domain),
+      this.resolveTxtRecords(`_dmarc.${domain}`),
+      this.resolveTxtRecords(`_mta-sts.${domain}`)
+    ]);
+    
+    const spfRecord = rootTxt.find(record => /^v=spf1(\s|$)/i.test(record)) || null;
+    const dmarcRecord = dmarcTxt.find(record => /^v=DMARC1\s*(;|$)/i.test(record)) || null;
+    const mtaStsRecord = mtaStsTxt.find(record => /^v=STSv1\s*(;|$)/i.test(record)) || null;
+    
+    const dmarcPolicy = dmarcRecord?.match(/(?:^|;)\s*p\s*=\s*(none|quarantine|reject)/i);
+    
+    return {
+      spf: !!spfRecord,
+      spfRecord,
+      dmarc: !!dmarcRecord,
+      dmarcPolicy: dmarcPolicy ? dmarcPolicy[1].toLowerCase() : null,
+      mtaSts: !!mtaStsRecord
+    };
+  }
+  
+  // TXT records joined per record, empty when there are none or the lookup fails
+  async resolveTxtRecords(name) {
+    try {
+      const records = await resolveTxt(name);
+      return records.map(chunks => chunks.join('').trim());
+    } catch (error) {
+      if (error.code !== 'ENODATA' && error.code !== 'ENOTFOUND') {
+        this.logger.debug('TXT lookup failed', { name, error: error.message });
+      }
+      return [];
+    }
+  }
+  
+  // mxInfo block for results
+  buildMxInfo(mxCheck) {
+    return {
+      checked: !mxCheck.skipped,
+      hasMxRecords: mxCheck.hasMxRecords,
+      primaryMx: mxCheck.primaryMx || null,
+      recordCount: mxCheck.mxRecords?.length || 0,
+      implicitMx: mxCheck.implicitMx || false,
+      nullMx: mxCheck.nullMx || false,
+      auth: mxCheck.auth || null
+    };
+  }
+  
   // Clean up old MX cache entries periodically
   cleanupMxCache() {
     const now = Date.now();
@@ -432,7 +893,104 @@ class EmailValidationService {
     }
   }
   
-  // FIXED: Map ZeroBounce status to correct um_bounce_status
+  // Get the stored catch-all verdict for a domain (true/false, or null if unknown or expired)
+  async getCatchAllVerdict(domain) {
+    domain = this.toAsciiDomain(domain);
+    const cached = this.catchAllCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.isCatchAll;
+    }
+    
+    try {
+      const result = await db.select('catch_all_domains', 
+        { domain }, 
+        { limit: 1 }
+      );
+      
+      if (!result || !result.rows || result.rows.length === 0) {
+        return null;
+      }
+      
+      const data = result.rows[0];
+      const expiresAt = new Date(data.expires_at).getTime();
+      
+      if (!expiresAt || expiresAt <= Date.now()) {
+        this.logger.debug('Catch-all verdict expired', { domain, expiresAt: data.expires_at });
+        return null;
+      }
+      
+      this.catchAllCache.set(domain, {
+        isCatchAll: data.is_catch_all,
+        expiresAt
+      });
+      
+      return data.is_catch_all;
+    } catch (error) {
+      this.logger.error('Failed to check catch-all verdict', error, { domain });
+      return null;
+    }
+  }
+  
+  // Persist a catch-all verdict for a domain with a TTL
+  async saveCatchAllVerdict(domain, isCatchAll, options = {}) {
+    const { source = 'smtp', mxHost = null } = options;
+    domain = this.toAsciiDomain(domain);
+    
+    // Skip the write if we already hold the same unexpired verdict
+    const cached = this.catchAllCache.get(domain);
+    if (cached && cached.isCatchAll === isCatchAll && cached.expiresAt > Date.now()) {
+      return;
+    }
+    
+    const now = Date.now();
+    const expiresAt = now + this.catchAllTTL;
+    
+    this.catchAllCache.set(domain, { isCatchAll, expiresAt });
+    
+    try {
+      const verdictData = {
+        is_catch_all: isCatchAll,
+        source,
+        mx_host: mxHost,
+        checked_at: new Date(now).toISOString(),
+        expires_at: new Date(expiresAt).toISOString()
+      };
+      
+      const updateResult = await db.update('catch_all_domains', 
+        verdictData,
+        { domain },
+        { returning: true }
+      );
+      
+      if (!updateResult || !updateResult.rows || updateResult.rows.length === 0) {
+        await db.insert('catch_all_domains', {
+          domain,
+          ...verdictData
+        });
+      }
+      
+      this.logger.debug('Saved catch-all verdict', { domain, isCatchAll, source });
+    } catch (error) {
+      this.logger.error('Failed to save catch-all verdict', error, { domain });
+    }
+  }
+  
+  // Random local part that should not exist on a domain that rejects unknown users
+  generateProbeAddress(domain) {
+    return `um-${crypto.randomBytes(8).toString('hex')}@${this.toAsciiDomain(domain)}`;
+  }
+  
+  // Clean up expired catch-all verdicts periodically
+  cleanupCatchAllCache() {
+    const now = Date.now();
+    for (const [domain, entry] of this.catchAllCache.entries()) {
+      if (entry.expiresAt <= now) {
+        this.catchAllCache.delete(domain);
+      }
+    }
+  }
+  
+  // FIXED: Map provider status to correct um_bounce_status
   mapBounceStatus(zbStatus, subStatus) {
     // Only two allowed values: "Likely to bounce" or "Unlikely to bounce"
     
@@ -448,35 +1006,60 @@ class EmailValidationService {
     return 'Likely to bounce';
   }
   
-  // Main validation method - UPDATED with new flow
+  // Main validation method - runs the validation flow, then applies the client's classification policy
   async validateEmail(email, options = {}) {
-    const { clientId = null, useCache = true, useZeroBounce = true } = options;
+    const { clientId = null } = options;
+    
+    // Get client account type and classification policy
+    const policy = clientId ? await this.getClientSettings(clientId) : null;
+    
+    const accountType = policy?.um_account_type || 'basic';
+    const autoCorrectConfidence = policy?.email_typo_autocorrect_confidence ?? config.validation.email.typoAutoCorrectConfidence;
+    const result = await this.runValidationFlow(email, {
+      ...options,
+      accountType,
+      autoCorrectConfidence,
+      providers: options.providers || policy?.email_providers || null
+    });
+    
+    const classified = this.applyClassification(result, this.getClassificationPolicy(policy));
+    return this.applyEmailScore(classified, accountType);
+  }
+  
+  // Validation flow - UPDATED with new flow
+  async runValidationFlow(email, options = {}) {
+    const {
+      clientId = null,
+      useCache = true,
+      useZeroBounce = true,
+      useProviders = useZeroBounce,
+      useSmtp = true,
+      accountType = 'basic',
+      autoCorrectConfidence,
+      providers = null
+    } = options;
+    
+    const providerChain = resolveProviderChain(providers);
+    
+    // Work on the Unicode display form; IDN domains may arrive as punycode
+    const displayEmail = this.toDisplayEmail(email);
     
     try {
-      // Get client account type
-      let accountType = 'basic'; // default
-      if (clientId) {
-        try {
-          const client = await this.getClientAccountType(clientId);
-          if (client) {
-            accountType = client.um_account_type || 'basic';
-          }
-        } catch (error) {
-          this.logger.warn('Failed to get client account type', { clientId, error: error.message });
-        }
-      }
       // STEP 1: Check database for valid emails (previously validated as "Unlikely to bounce")
       if (useCache) {
-        const existingValidEmail = await this.checkEmailCache(email);
+        const existingValidEmail = await this.checkEmailCache(email, accountType);
         if (existingValidEmail) {
-          this.logger.debug('Email found in valid emails database', { email });
-          // Return immediately - trust forever
+          this.logger.debug('Email found in valid emails database', { 
+            email,
+            stale: existingValidEmail.recheckNeeded
+          });
+          // Return immediately - stale entries are flagged for recheck
           return existingValidEmail;
         }
       }
       
       // STEP 2: Format check using validator.js
-      const isValidFormat = validator.isEmail(email, {
+      const isValidFormat = validator.isEmail(displayEmail, {
         allow_display_name: false,
         require_display_name: false,
         allow_utf8_local_part: true,
@@ -488,27 +1071,25 @@ class EmailValidationService {
       });
       
       if (!isValidFormat) {
-        // If validator.js says it's invalid, try ZeroBounce for "did you mean"
-        if (useZeroBounce && this.zeroBounce && config.services.zeroBounce.enabled) {
-          try {
-            const zbResult = await this.zeroBounce.validateEmail(email);
+        // If validator.js says it's invalid, ask the providers for "did you mean"
+        if (useProviders) {
+          const verification = await this.verifyWithProviders(this.toAsciiEmail(displayEmail), providerChain);
+          const didYouMean = verification?.result.didYouMean && this.toDisplayEmail(verification.result.didYouMean);
+          
+          // If the provider has a "did you mean" suggestion, use it
+          if (didYouMean && didYouMean !== displayEmail) {
+            this.logger.debug('Provider suggested correction', { 
+              provider: verification.provider.name,
+              original: email, 
+              suggestion: didYouMean 
+            });
             
-            // If ZeroBounce has a "did you mean" suggestion, use it
-            if (zbResult.didYouMean && zbResult.didYouMean !== email) {
-              this.logger.debug('ZeroBounce suggested correction', { 
-                original: email, 
-                suggestion: zbResult.didYouMean 
-              });
-              
-              // Validate the suggested email recursively
-              return await this.validateEmail(zbResult.didYouMean, options);
-            }
-          } catch (error) {
-            this.logger.error('ZeroBounce validation failed during format check', error);
+            // Validate the suggested email recursively
+            return await this.runValidationFlow(didYouMean, options);
           }
         }
         
-        // No suggestions or ZeroBounce failed, return as invalid
+        // No suggestions or providers failed, return as invalid
         return this.buildValidationResult(email, {
           formatValid: false,
           status: 'invalid',
@@ -520,7 +1101,7 @@ class EmailValidationService {
       }
       
       // STEP 3: Perform typo corrections
-      const { corrected, email: correctedEmail, suggestions } = await this.correctEmailTypos(email);
+      const { corrected, email: correctedEmail, suggestions } = await this.correctEmailTypos(displayEmail, { autoCorrectConfidence });
       
       // Extract domain
       const domain = correctedEmail.split('@')[1];
@@ -546,7 +1127,7 @@ class EmailValidationService {
       let mxCheck = await this.checkMxRecords(domain);
       
       if (!mxCheck.hasMxRecords && !mxCheck.skipped) {
-        // No MX records found - return as invalid without calling ZeroBounce
+        // No MX (or null MX) - return as invalid without calling a provider
         return this.buildValidationResult(email, {
           currentEmail: correctedEmail,
           formatValid: true,
@@ -554,59 +1135,89 @@ class EmailValidationService {
           domainValid: false,
           mxRecordsFound: false,
           status: 'invalid',
-          subStatus: 'no_mx_records',
+          subStatus: mxCheck.nullMx ? 'null_mx' : 'no_mx_records',
           recheckNeeded: false,
           um_bounce_status: 'Likely to bounce',
           suggestions,
-          mxInfo: {
-            checked: true,
-            hasMxRecords: false,
-            records: []
-          }
+          mxInfo: this.buildMxInfo(mxCheck)
         }, clientId, accountType);
       }
       
-      // STEP 6: ZeroBounce validation (only if MX records exist)
-      if (useZeroBounce && this.zeroBounce && config.services.zeroBounce.enabled) {
-        try {
-          // Direct validation without credit check
-          let zbResult = await this.zeroBounce.validateEmail(correctedEmail);
+      // STEP 6: Verification provider chain (only if MX records exist)
+      if (useProviders) {
+        const verification = await this.verifyWithProviders(this.toAsciiEmail(correctedEmail), providerChain);
+        
+        if (verification) {
+          const { provider } = verification;
+          let providerResult = verification.result;
           let finalEmail = correctedEmail;
           let totalCorrections = corrected;
+          const providerSuggestion = providerResult.didYouMean && this.toDisplayEmail(providerResult.didYouMean);
           
           // Handle "did you mean" suggestions
-          if (zbResult.didYouMean && zbResult.didYouMean !== correctedEmail) {
-            this.logger.debug('ZeroBounce suggested correction, validating suggestion', {
+          if (providerSuggestion && providerSuggestion !== correctedEmail) {
+            this.logger.debug('Provider suggested correction, validating suggestion', {
+              provider: provider.name,
               original: correctedEmail,
-              suggestion: zbResult.didYouMean
+              suggestion: providerResult.didYouMean
             });
             
             suggestions.push({
-              type: 'zerobounce_suggestion',
+              type: 'provider_suggestion',
+              provider: provider.name,
               original: correctedEmail,
-              suggestion: zbResult.didYouMean,
-              email: zbResult.didYouMean
+              suggestion: providerSuggestion,
+              email: providerSuggestion
             });
             
-            // Validate the suggested email
-            const suggestionResult = await this.zeroBounce.validateEmail(zbResult.didYouMean);
-            
-            // Use the suggestion result as our final result
-            zbResult = suggestionResult;
-            finalEmail = zbResult.email || zbResult.didYouMean;
-            totalCorrections = true;
+            try {
+              // Validate the suggested email with the provider that answered
+              providerResult = await provider.verify(this.toAsciiEmail(providerSuggestion));
+              finalEmail = this.toDisplayEmail(providerResult.email);
+              totalCorrections = true;
+            } catch (error) {
+              this.logger.warn('Failed to validate provider suggestion', {
+                provider: provider.name,
+                error: error.message
+              });
+            }
           }
           
-          // Build final result with ZeroBounce data
-          const finalResult = this.buildZeroBounceResult(
+          // The provider tells us whether the domain accepts all addresses
+          const providerDomain = finalEmail.split('@')[1];
+          let catchAll = null;
+          if (providerResult.status === 'catch-all') {
+            catchAll = true;
+            await this.saveCatchAllVerdict(providerDomain, true, { source: provider.name, mxHost: mxCheck?.primaryMx });
+          } else if (providerResult.status === 'valid') {
+            catchAll = false;
+            await this.saveCatchAllVerdict(providerDomain, false, { source: provider.name, mxHost: mxCheck?.primaryMx });
+          } else {
+            catchAll = await this.getCatchAllVerdict(providerDomain);
+          }
+          
+          // Every paid verdict feeds the domain's learned reputation - it needs the MX hosts to notice
+          // a domain changing mail hosting, so look them up even when MX checks are off
+          const reputationMx = mxCheck && !mxCheck.skipped
+            ? mxCheck
+            : await this.checkMxRecords(providerDomain, { force: true });
+          await domainReputationService.recordVerdict(this.toAsciiDomain(providerDomain), providerResult.status, {
+            mxRecords: reputationMx?.mxRecords,
+            source: provider.name
+          });
+          
+          // Build final result with provider data
+          const finalResult = this.buildProviderResult(
             email,
             finalEmail,
             totalCorrections,
-            zbResult,
+            providerResult,
             mxCheck,
             suggestions,
             clientId,
-            accountType
+            accountType,
+            catchAll,
+            verification.attempts
           );
           
           // STEP 7: Save to database only if "Unlikely to bounce"
@@ -615,33 +1226,433 @@ class EmailValidationService {
           }
           
           return finalResult;
-          
-        } catch (error) {
-          // Handle specific ZeroBounce errors
-          if (error.code === 'insufficient_credits' || 
-              (error.message && error.message.toLowerCase().includes('insufficient') && error.message.toLowerCase().includes('credits'))) {
-            this.logger.warn('ZeroBounce insufficient credits, falling back to basic validation', { email: correctedEmail });
-            // Fall back to basic validation
-            return this.performBasicValidation(email, correctedEmail, corrected, suggestions, clientId, mxCheck, accountType);
-          }
-          
-          // For other errors, log and fall back
-          this.logger.error('ZeroBounce validation failed', error, { email: correctedEmail });
-          
-          // Fall back to basic validation
-          return this.performBasicValidation(email, correctedEmail, corrected, suggestions, clientId, mxCheck, accountType);
         }
       }
       
-      // If ZeroBounce is disabled, perform basic validation
-      return this.performBasicValidation(email, correctedEmail, corrected, suggestions, clientId, mxCheck, accountType);
+      // No provider answered - try SMTP probing and then basic validation
+      return this.performFallbackValidation(email, correctedEmail, corrected, suggestions, clientId, mxCheck, accountType, { useSmtp, useCache });
     } catch (error) {
       this.logger.error('Email validation failed', error, { email });
       throw new ValidationError(`Email validation failed: ${error.message}`);
     }
   }
   
-  // Perform basic validation when ZeroBounce is not available
+  // Classify the address as role account, disposable or free provider
+  classifyEmail(email) {
+    const [localPart = '', domain = ''] = email.toLowerCase().split('@');
+    
+    // Ignore +tags and separators so "sales+eu" and "sales.team" still count as role accounts
+    const baseLocalPart = localPart.split('+')[0];
+    const firstToken = baseLocalPart.split(/[._-]/)[0];
+    
+    return {
+      isRoleAccount: this.roleAccounts.has(baseLocalPart) || this.roleAccounts.has(firstToken),
+      isDisposable: this.disposableDomains.has(domain),
+      isFreeProvider: this.freeEmailProviders.has(domain)
+    };
+  }
+  
+  // Resolve the client's policy for each flag: 'invalid', 'warn' or 'flag' (only the is_* field is set)
+  getClassificationPolicy(client) {
+    const defaults = config.validation.email.classificationPolicy;
+    const allowed = ['invalid', 'warn', 'flag'];
+    const pick = (value, fallback) => allowed.includes(value) ? value : fallback;
+    
+    return {
+      roleAccount: pick(client?.email_role_policy, defaults.roleAccount),
+      disposable: pick(client?.email_disposable_policy, defaults.disposable),
+      freeProvider: pick(client?.email_free_policy, defaults.freeProvider)
+    };
+  }
+  
+  // Add classification flags to a result and apply the policy
+  applyClassification(result, policy) {
+    if (!result || result.formatValid === false) {
+      return result;
+    }
+    
+    const email = result.currentEmail || result.um_email || result.originalEmail;
+    const classification = this.classifyEmail(email);
+    
+    const flagged = [
+      { flag: classification.isRoleAccount, policy: policy.roleAccount, subStatus: 'role_based', message: 'Role-based address' },
+      { flag: classification.isDisposable, policy: policy.disposable, subStatus: 'disposable', message: 'Disposable email provider' },
+      { flag: classification.isFreeProvider, policy: policy.freeProvider, subStatus: 'free_provider', message: 'Free email provider' }
+    ].filter(entry => entry.flag);
+    
+    const warnings = [...(result.warnings || [])];
+    let { status, subStatus } = result;
+    
+    for (const entry of flagged) {
+      if (entry.policy === 'invalid') {
+        // The first rejecting flag sets the sub status
+        if (status !== 'invalid') {
+          status = 'invalid';
+          subStatus = entry.subStatus;
+        }
+      } else if (entry.policy === 'warn') {
+        warnings.push(entry.message);
+      }
+    }
+    
+    const classified = {
+      ...result,
+      status,
+      subStatus,
+      is_role_account: classification.isRoleAccount,
+      is_disposable: classification.isDisposable,
+      is_free_provider: classification.isFreeProvider,
+      ...(warnings.length > 0 && { warnings })
+    };
+    
+    // A policy rejection means the address will not be mailed
+    if (status !== result.status && classified.um_bounce_status) {
+      classified.um_bounce_status = 'Likely to bounce';
+    }
+    
+    return classified;
+  }
+  
+  // Composite 0-100 score with the contribution of each factor
+  calculateEmailScore(result, accountType = 'basic') {
+    const factors = [];
+    const add = (factor, points = EMAIL_SCORE_WEIGHTS[factor]) => {
+      factors.push({ factor, points });
+    };
+    
+    if (result.formatValid === false) {
+      return { score: 0, level: 'very_low', factors: [{ factor: 'invalid_format', points: 0 }] };
+    }
+    add('valid_format');
+    
+    // Corrections
+    if (result.wasCorrected) {
+      add('typo_corrected');
+    }
+    if (result.did_you_mean) {
+      add('unresolved_typo');
+    }
+    
+    // Domain lists
+    const domain = (result.currentEmail || result.um_email || '').split('@')[1];
+    if (result.isInvalidDomain) {
+      add('invalid_domain');
+    } else if (domain && this.validDomains.has(domain)) {
+      add('known_domain');
+    } else {
+      add('unknown_domain');
+    }
+    
+    // MX and mail-auth posture
+    const mxInfo = result.mxInfo;
+    if (mxInfo?.checked) {
+      if (mxInfo.nullMx) {
+        add('null_mx');
+      } else if (!mxInfo.hasMxRecords) {
+        add('no_mx_records');
+      } else if (mxInfo.implicitMx) {
+        add('implicit_mx');
+      } else {
+        add('mx_records');
+      }
+      
+      if (mxInfo.auth?.spf) add('spf');
+      if (mxInfo.auth?.dmarc) add('dmarc');
+      if (mxInfo.auth?.mtaSts) add('mta_sts');
+    }
+    
+    // Mailbox verdict - from the cache, a provider, SMTP or domain heuristics
+    if (result.isFromDatabase) {
+      add('cached_valid');
+      
+      const ageMs = (result.daysSinceValidation || 0) * 24 * 60 * 60 * 1000;
+      const ageRatio = Math.min(1, ageMs / this.getCacheMaxAge(accountType));
+      if (ageRatio > 0) {
+        add('cache_age', Math.round(EMAIL_SCORE_WEIGHTS.cache_age * ageRatio));
+      }
+    } else if (result.verificationProvider || result.smtp) {
+      const verdict = result.verificationProvider
+        ? this.mapProviderStatus(result.verificationProvider.status)
+        : result.smtp.status;
+      
+      if (result.um_email_catch_all === true && verdict !== 'invalid') {
+        add('catch_all');
+      } else if (result.smtp?.greylisted && !result.verificationProvider) {
+        add('greylisted');
+      } else if (verdict === 'valid') {
+        add('verified_valid');
+      } else if (verdict === 'invalid') {
+        add('verified_invalid');
+      } else {
+        add('verified_unknown');
+      }
+    } else if (result.status === 'valid') {
+      add('domain_heuristic');
+    } else if (result.domainReputation?.guess === 'likely_valid') {
+      add('reputation_likely_valid');
+    } else if (result.domainReputation?.guess === 'likely_invalid') {
+      add('reputation_likely_invalid');
+    }
+    
+    // Classification flags
+    if (result.is_role_account) add('role_account');
+    if (result.is_disposable) add('disposable');
+    if (result.is_free_provider) add('free_provider');
+    
+    // Scale to what the evaluated checks could add up to - with MX checks off
+    // the MX and mail-auth points are out of reach, not failed
+    const weights = EMAIL_SCORE_WEIGHTS;
+    const mxPoints = weights.mx_records + weights.spf + weights.dmarc + weights.mta_sts;
+    const maxPoints = weights.valid_format + weights.known_domain + mxPoints + weights.verified_valid;
+    const unevaluated = mxInfo?.checked ? 0 : mxPoints;
+    
+    const total = factors.reduce((sum, entry) => sum + entry.points, 0);
+    const score = Math.max(0, Math.min(100, Math.round(total * maxPoints / (maxPoints - unevaluated))));
+    
+    // Same bands as the phone confidence levels
+    let level;
+    if (score >= 85) level = 'very_high';
+    else if (score >= 70) level = 'high';
+    else if (score >= 50) level = 'medium';
+    else if (score >= 30) level = 'low';
+    else level = 'very_low';
+    
+    return { score, level, factors };
+  }
+  
+  // Attach the score to a result
+  applyEmailScore(result, accountType = 'basic') {
+    if (!result) {
+      return result;
+    }
+    
+    const { score, level, factors } = this.calculateEmailScore(result, accountType);
+    
+    return {
+      ...result,
+      um_email_score: score,
+      scoreLevel: level,
+      scoreFactors: factors
+    };
+  }
+  
+  // Run the provider chain in order until one answers
+  // Returns { provider, result, attempts } or null when every provider failed or was skipped
+  async verifyWithProviders(email, providerChain) {
+    const attempts = [];
+    
+    for (const name of providerChain) {
+      const provider = getEmailProvider(name);
+      
+      if (!provider || !provider.isAvailable()) {
+        attempts.push({ provider: name, skipped: true });
+        continue;
+      }
+      
+      try {
+        const result = await provider.verify(email);
+        attempts.push({ provider: name, success: true });
+        return { provider, result, attempts };
+      } catch (error) {
+        const reason = provider.isCreditError(error) ? 'insufficient_credits' : 'error';
+        attempts.push({ provider: name, success: false, reason, error: error.message });
+        
+        if (reason === 'insufficient_credits') {
+          this.logger.warn('Provider out of credits, trying next provider', { provider: name, email });
+        } else {
+          this.logger.error('Provider verification failed, trying next provider', error, { provider: name, email });
+        }
+      }
+    }
+    
+    if (attempts.length > 0) {
+      this.logger.debug('No email verification provider answered', { email, attempts });
+    }
+    
+    return null;
+  }
+  
+  // Map a normalized provider status to our result status
+  mapProviderStatus(providerStatus) {
+    if (providerStatus === 'valid') {
+      return 'valid';
+    }
+    
+    // Accept-all and unknown answers say nothing definite about the mailbox
+    if (providerStatus === 'catch-all' || providerStatus === 'unknown') {
+      return 'unknown';
+    }
+    
+    // invalid, spamtrap, abuse, do_not_mail
+    return 'invalid';
+  }
+  
+  // Canonical form of an address for deduplication - um_email itself is never rewritten
+  getCanonicalEmail(email) {
+    if (!email || !email.includes('@')) {
+      return null;
+    }
+    
+    const atIndex = email.lastIndexOf('@');
+    let localPart = email.substring(0, atIndex).trim().toLowerCase();
+    let domain = email.substring(atIndex + 1).trim().toLowerCase();
+    
+    const rule = CANONICAL_RULES.find(r => r.match(domain));
+    if (!rule) {
+      return `${localPart}@${domain}`;
+    }
+    
+    // Fastmail: anything@user.fastmail.com delivers to user@fastmail.com
+    if (rule.subdomainAddressing) {
+      const labels = domain.split('.');
+      if (labels.length > 2) {
+        localPart = labels[labels.length - 3];
+        domain = labels.slice(-2).join('.');
+      }
+    }
+    
+    // Strip subaddress tags
+    const tagIndex = localPart.indexOf(rule.tagSeparator);
+    if (tagIndex > 0) {
+      localPart = localPart.substring(0, tagIndex);
+    }
+    
+    if (rule.ignoreDots) {
+      localPart = localPart.replace(/\./g, '');
+    }
+    
+    return `${localPart}@${rule.canonicalDomain || domain}`;
+  }
+  
+  // Suggested address from fuzzy matching that was not applied automatically
+  getDidYouMean(suggestions = []) {
+    const pending = suggestions.filter(s => s.type === 'domain_fuzzy' && !s.applied);
+    return pending.length > 0 ? pending[pending.length - 1].email : null;
+  }
+  
+  // Fall back when no provider answered: SMTP probe first, then basic validation
+  async performFallbackValidation(originalEmail, correctedEmail, wasCorrected, suggestions, clientId, mxCheck, accountType = 'basic', options = {}) {
+    const { useSmtp = true, useCache = true } = options;
+    
+    if (useSmtp && this.smtpProbe && this.smtpProbe.isEnabled()) {
+      const smtpResult = await this.performSmtpValidation(originalEmail, correctedEmail, wasCorrected, suggestions, clientId, mxCheck, accountType);
+      
+      if (smtpResult) {
+        // Save to database only if "Unlikely to bounce"
+        if (useCache && smtpResult.status === 'valid' && smtpResult.um_bounce_status === 'Unlikely to bounce') {
+          await this.saveEmailCache(originalEmail, smtpResult, clientId);
+        }
+        
+        return smtpResult;
+      }
+    }
+    
+    return this.performBasicValidation(originalEmail, correctedEmail, wasCorrected, suggestions, clientId, mxCheck, accountType);
+  }
+  
+  // Verify the mailbox over SMTP against the domain's primary MX
+  // Returns null when the probe is inconclusive so the caller can fall back
+  async performSmtpValidation(originalEmail, correctedEmail, wasCorrected, suggestions, clientId, mxCheck, accountType = 'basic') {
+    const domain = correctedEmail.split('@')[1];
+    
+    // The probe needs a real MX host even when MX checks are disabled
+    let smtpMxCheck = mxCheck;
+    if (!smtpMxCheck || smtpMxCheck.skipped || !smtpMxCheck.primaryMx) {
+      smtpMxCheck = await this.checkMxRecords(domain, { force: true });
+    }
+    
+    if (!smtpMxCheck.primaryMx) {
+      this.logger.debug('SMTP probe skipped - no MX host', { domain });
+      return null;
+    }
+    
+    try {
+      let catchAll = await this.getCatchAllVerdict(domain);
+      let smtpResult;
+      
+      if (catchAll === null && config.validation.email.detectCatchAll) {
+        // No verdict yet - probe a random local part in the same session
+        const probeAddress = this.generateProbeAddress(domain);
+        const [mailboxResult, probeResult] = await this.smtpProbe.verifyRecipients(
+          [this.toAsciiEmail(correctedEmail), probeAddress],
+          { mxHost: smtpMxCheck.primaryMx }
+        );
+        smtpResult = mailboxResult;
+        
+        // Only conclusive answers for the random address become a verdict
+        if (probeResult.status === 'valid') {
+          catchAll = true;
+        } else if (probeResult.status === 'invalid' && probeResult.subStatus === 'mailbox_not_found') {
+          catchAll = false;
+        }
+        
+        if (catchAll !== null) {
+          await this.saveCatchAllVerdict(domain, catchAll, { source: 'smtp', mxHost: smtpMxCheck.primaryMx });
+        }
+      } else {
+        smtpResult = await this.smtpProbe.verifyMailbox(this.toAsciiEmail(correctedEmail), {
+          mxHost: smtpMxCheck.primaryMx
+        });
+      }
+      
+      // An accepted RCPT on a catch-all domain says nothing about the mailbox
+      let status = smtpResult.status;
+      let subStatus = smtpResult.subStatus;
+      if (status === 'valid' && catchAll === true) {
+        status = 'unknown';
+        subStatus = 'catch_all';
+      }
+      
+      // Greylisting on this attempt is worth reporting, other unknowns are not - and while the MX
+      // is backed off the probe never ran, so basic validation has more to say
+      if (smtpResult.status === 'unknown' && (!smtpResult.greylisted || smtpResult.fromBackoff)) {
+        this.logger.debug('SMTP probe inconclusive', {
+          domain,
+          subStatus: smtpResult.subStatus,
+          code: smtpResult.code,
+          fromBackoff: !!smtpResult.fromBackoff
+        });
+        return null;
+      }
+      
+      return this.buildValidationResult(originalEmail, {
+        currentEmail: correctedEmail,
+        formatValid: true,
+        wasCorrected,
+        domainValid: true,
+        mxRecordsFound: true,
+        status,
+        subStatus,
+        recheckNeeded: smtpResult.greylisted,
+        um_bounce_status: this.mapBounceStatus(status),
+        catchAll,
+        suggestions,
+        mxInfo: this.buildMxInfo(smtpMxCheck),
+        smtp: {
+          mxHost: smtpResult.mxHost,
+          status: smtpResult.status,
+          subStatus: smtpResult.subStatus,
+          code: smtpResult.code || null,
+          enhancedCode: smtpResult.enhancedCode || null,
+          message: smtpResult.message || null,
+          greylisted: smtpResult.greylisted,
+          smtpUtf8: smtpResult.smtpUtf8 ?? null,
+          retryAfter: smtpResult.retryAfter || null,
+          durationMs: smtpResult.durationMs || null
+        }
+      }, clientId, accountType);
+    } catch (error) {
+      this.logger.warn('SMTP probe failed, falling back to basic validation', {
+        domain,
+        mxHost: smtpMxCheck.primaryMx,
+        error: error.message,
+        code: error.code
+      });
+      return null;
+    }
+  }
+  
+  // Perform basic validation when no provider or SMTP verdict is available
   async performBasicValidation(originalEmail, correctedEmail, wasCorrected, suggestions, clientId, mxCheck, accountType = 'basic') {
     const domain = correctedEmail.split('@')[1];
     
@@ -654,8 +1665,26 @@ class EmailValidationService {
     const domainValid = this.validDomains.has(domain);
     const status = domainValid && mxCheck.hasMxRecords ? 'valid' : 'unknown';
     
+    // Reuse any verdict we already hold for the domain
+    let catchAll = await this.getCatchAllVerdict(domain);
+    
     // FIXED: Use proper bounce status mapping
-    const umBounceStatus = (domainValid && mxCheck.hasMxRecords) ? 'Unlikely to bounce' : 'Likely to bounce';
+    let umBounceStatus = (domainValid && mxCheck.hasMxRecords) ? 'Unlikely to bounce' : 'Likely to bounce';
+    
+    // Past provider verdicts for the domain turn "unknown" into an informed guess
+    let subStatus = null;
+    const reputation = status === 'unknown' && mxCheck.hasMxRecords
+      ? await domainReputationService.getReputation(this.toAsciiDomain(domain))
+      : null;
+    
+    if (reputation?.guess) {
+      subStatus = reputation.guess;
+      if (reputation.guess === 'likely_valid') {
+        umBounceStatus = 'Unlikely to bounce';
+      } else if (reputation.guess === 'catch_all' && catchAll === null) {
+        catchAll = true;
+      }
+    }
     
     return this.buildValidationResult(originalEmail, {
       currentEmail: correctedEmail,
@@ -664,38 +1693,27 @@ class EmailValidationService {
       domainValid,
       mxRecordsFound: mxCheck.hasMxRecords,
       status,
+      subStatus,
       recheckNeeded: !domainValid,
       um_bounce_status: umBounceStatus,
+      catchAll,
+      domainReputation: reputation,
       suggestions,
-      mxInfo: {
-        checked: !mxCheck.skipped,
-        hasMxRecords: mxCheck.hasMxRecords,
-        primaryMx: mxCheck.primaryMx,
-        recordCount: mxCheck.mxRecords?.length || 0
-      }
+      mxInfo: this.buildMxInfo(mxCheck)
     }, clientId, accountType);
   }
   
-  // Build result with ZeroBounce data
-  buildZeroBounceResult(originalEmail, finalEmail, wasCorrected, zbResult, mxCheck, suggestions, clientId, accountType = 'basic') {
+  // Build result with verification provider data
+  buildProviderResult(originalEmail, finalEmail, wasCorrected, providerResult, mxCheck, suggestions, clientId, accountType = 'basic', catchAll = null, attempts = []) {
     const now = new Date();
     const epochMs = now.getTime();
     const umCheckId = this.generateUmCheckId(clientId);
     
-    // Determine final status based on ZeroBounce
-    let status = 'unknown';
-    let subStatus = zbResult.subStatus;
-    
-    // FIXED: Use the new mapping function
-    const umBounceStatus = this.mapBounceStatus(zbResult.status, zbResult.subStatus);
-    
-    if (zbResult.status === 'valid') {
-      status = 'valid';
-    } else if (zbResult.status === 'invalid' || zbResult.status === 'catch-all' || 
-               zbResult.status === 'spamtrap' || zbResult.status === 'abuse' || 
-               zbResult.status === 'do_not_mail') {
-      status = 'invalid';
-    }
+    // Same vocabulary whichever vendor answered
+    const status = this.mapProviderStatus(providerResult.status);
+    const subStatus = providerResult.subStatus ||
+      (providerResult.status === 'catch-all' ? 'catch_all' : null);
+    const umBounceStatus = this.mapBounceStatus(providerResult.status, providerResult.subStatus);
     
     // Build validation steps
     const validationSteps = [
@@ -706,17 +1724,19 @@ class EmailValidationService {
       { 
         step: '5_mx_record_check', 
         performed: mxCheck ? !mxCheck.skipped : true, 
-        hasMxRecords: mxCheck ? mxCheck.hasMxRecords : (zbResult.mxFound === 'true' || zbResult.mxFound === true),
-        primaryMx: mxCheck ? mxCheck.primaryMx : zbResult.mxRecord
+        hasMxRecords: mxCheck ? mxCheck.hasMxRecords : providerResult.mxFound === true,
+        primaryMx: mxCheck ? mxCheck.primaryMx : providerResult.mxRecord
       },
       { 
-        step: '6_zerobounce_validation', 
+        step: '6_provider_validation', 
         performed: true, 
-        status: zbResult.status,
-        subStatus: zbResult.subStatus,
-        freeEmail: zbResult.freeEmail,
-        didYouMean: zbResult.didYouMean,
-        mxFound: zbResult.mxFound
+        provider: providerResult.provider,
+        status: providerResult.status,
+        subStatus: providerResult.subStatus,
+        freeEmail: providerResult.freeEmail,
+        didYouMean: providerResult.didYouMean,
+        mxFound: providerResult.mxFound,
+        attempts
       }
     ];
     
@@ -733,6 +1753,11 @@ class EmailValidationService {
       // Unmessy fields
       um_email: finalEmail,
       um_email_status: wasCorrected ? 'Changed' : 'Unchanged',
+      um_email_canonical: this.getCanonicalEmail(finalEmail),
+      ...this.getInternationalFields(finalEmail),
+      ...this.getDomainClassification(finalEmail),
+      um_email_catch_all: catchAll,
+      did_you_mean: this.getDidYouMean(suggestions),
       date_last_um_check: now.toISOString(),
       date_last_um_check_epoch: epochMs,
       um_check_id: umCheckId,
@@ -741,39 +1766,26 @@ class EmailValidationService {
       suggestions,
       
       // MX info
-      mxInfo: mxCheck ? {
-        checked: !mxCheck.skipped,
-        hasMxRecords: mxCheck.hasMxRecords,
-        primaryMx: mxCheck.primaryMx,
-        recordCount: mxCheck.mxRecords?.length || 0
-      } : {
-        // If no MX check was done but ZeroBounce found MX records
+      mxInfo: mxCheck ? this.buildMxInfo(mxCheck) : {
+        // If no MX check was done but the provider found MX records
         checked: true,
-        hasMxRecords: zbResult.mxFound === 'true' || zbResult.mxFound === true,
-        primaryMx: zbResult.mxRecord || null,
-        recordCount: zbResult.mxFound === 'true' || zbResult.mxFound === true ? 1 : 0
+        hasMxRecords: providerResult.mxFound === true,
+        primaryMx: providerResult.mxRecord || null,
+        recordCount: providerResult.mxFound === true ? 1 : 0
       },
       
-      // ZeroBounce data
-      zeroBounce: {
-        status: zbResult.status,
-        subStatus: zbResult.subStatus,
-        account: zbResult.account,
-        domain: zbResult.domain,
-        didYouMean: zbResult.didYouMean,
-        domainAgeDays: zbResult.domainAgeDays,
-        freeEmail: zbResult.freeEmail,
-        mxFound: zbResult.mxFound,
-        mxRecord: zbResult.mxRecord,
-        smtpProvider: zbResult.smtpProvider,
-        firstname: zbResult.firstname,
-        lastname: zbResult.lastname,
-        gender: zbResult.gender,
-        country: zbResult.country,
-        region: zbResult.region,
-        city: zbResult.city,
-        zipcode: zbResult.zipcode,
-        processedAt: zbResult.processedAt
+      // Normalized provider data
+      verificationProvider: {
+        name: providerResult.provider,
+        status: providerResult.status,
+        subStatus: providerResult.subStatus,
+        didYouMean: providerResult.didYouMean,
+        freeEmail: providerResult.freeEmail,
+        disposable: providerResult.disposable,
+        roleAccount: providerResult.roleAccount,
+        mxFound: providerResult.mxFound,
+        mxRecord: providerResult.mxRecord,
+        smtpProvider: providerResult.smtpProvider
       },
       
       // Validation steps
@@ -825,6 +1837,18 @@ class EmailValidationService {
       });
     }
     
+    // Add SMTP probe step if it was performed
+    if (validationData.smtp) {
+      validationSteps.push({
+        step: '6_smtp_verification',
+        performed: true,
+        status: validationData.smtp.status,
+        subStatus: validationData.smtp.subStatus,
+        code: validationData.smtp.code,
+        greylisted: validationData.smtp.greylisted
+      });
+    }
+    
     const result = {
       originalEmail,
       currentEmail: validationData.currentEmail || originalEmail,
@@ -839,6 +1863,13 @@ class EmailValidationService {
       // Unmessy fields
       um_email: validationData.currentEmail || originalEmail,
       um_email_status: umEmailStatus,
+      um_email_canonical: this.getCanonicalEmail(validationData.currentEmail || originalEmail),
+      ...this.getInternationalFields(validationData.currentEmail || originalEmail),
+      ...(validationData.formatValid === false
+        ? { um_email_domain_type: null, um_company_domain: null }
+        : this.getDomainClassification(validationData.currentEmail || originalEmail)),
+      um_email_catch_all: validationData.catchAll ?? null,
+      did_you_mean: this.getDidYouMean(validationData.suggestions),
       date_last_um_check: now.toISOString(),
       date_last_um_check_epoch: epochMs,
       um_check_id: umCheckId,
@@ -849,6 +1880,12 @@ class EmailValidationService {
       // MX info if available
       ...(validationData.mxInfo && { mxInfo: validationData.mxInfo }),
       
+      // SMTP probe details if available
+      ...(validationData.smtp && { smtp: validationData.smtp }),
+      
+      // Learned domain statistics behind a basic-validation guess
+      ...(validationData.domainReputation && { domainReputation: validationData.domainReputation }),
+      
       // Validation steps
       validationSteps: validationData.validationSteps || validationSteps
     };
@@ -861,52 +1898,90 @@ class EmailValidationService {
     return result;
   }
   
+  // Maximum age of a cached "valid" email for an account type (ms)
+  getCacheMaxAge(accountType = 'basic') {
+    const maxAgeDays = config.validation.email.cacheMaxAgeDays;
+    const days = maxAgeDays[accountType] ?? maxAgeDays.default;
+    return days * 24 * 60 * 60 * 1000;
+  }
+  
+  // Latest email_validations row stored under a key
+  async findCachedEmail(cacheKey) {
+    const result = await db.select('email_validations', 
+      { email: cacheKey }, 
+      { 
+        limit: 1,
+        order: { column: 'date_last_um_check_epoch', ascending: false }
+      }
+    );
+    
+    return result?.rows?.[0] || null;
+  }
+  
   // Check if email exists in valid emails database
-  async checkEmailCache(email) {
+  async checkEmailCache(email, accountType = 'basic') {
     try {
       // Check if this email has been previously validated as "Unlikely to bounce"
-      const result = await db.select('email_validations', 
-        { email: email.toLowerCase() }, 
-        { 
-          limit: 1,
-          order: { column: 'date_last_um_check_epoch', ascending: false }
+      const cacheKey = this.getEmailCacheKey(email);
+      let data = await this.findCachedEmail(cacheKey);
+      
+      // Rows cached under an older key move to the current one the first time they are found
+      if (!data) {
+        for (const legacyKey of this.getLegacyEmailCacheKeys(email)) {
+          data = await this.findCachedEmail(legacyKey);
+          if (data) {
+            await this.rekeyCachedEmail(legacyKey, cacheKey);
+            break;
+          }
         }
-      );
+      }
       
-      if (!result || !result.rows || result.rows.length === 0) {
+      if (!data) {
         return null;
       }
       
-      const data = result.rows[0];
+      const displayEmail = this.toDisplayEmail(email);
+      const umEmail = data.um_email ? this.toDisplayEmail(data.um_email) : displayEmail;
       
       // This email was previously validated as "Unlikely to bounce"
-      // Trust it forever - no revalidation needed
+      // Serve it either way, but flag it once it is older than the account type allows
       const validationAge = Date.now() - (data.date_last_um_check_epoch || 0);
+      const isStale = validationAge > this.getCacheMaxAge(accountType);
       
       this.logger.debug('Email found in valid emails database', { 
         email,
-        daysSinceValidation: Math.floor(validationAge / (24 * 60 * 60 * 1000))
+        daysSinceValidation: Math.floor(validationAge / (24 * 60 * 60 * 1000)),
+        isStale
       });
       
       // Return the valid email data
       return {
         originalEmail: email,
-        currentEmail: data.um_email || email,
+        currentEmail: umEmail,
         formatValid: true,
-        wasCorrected: data.um_email !== email,
+        wasCorrected: umEmail !== displayEmail,
         status: 'valid', // We only store valid emails
-        recheckNeeded: false,
-        um_email: data.um_email,
+        recheckNeeded: isStale,
+        um_email: umEmail,
         um_email_status: data.um_email_status,
         um_bounce_status: 'Unlikely to bounce', // Always this value in the database
+        um_email_canonical: this.getCanonicalEmail(umEmail),
+        ...this.getInternationalFields(umEmail),
+        ...this.getDomainClassification(umEmail),
+        um_email_catch_all: false, // Catch-all addresses are never stored
         date_last_um_check: data.date_last_um_check,
         date_last_um_check_epoch: data.date_last_um_check_epoch,
         um_check_id: data.um_check_id,
         isFromDatabase: true,
         daysSinceValidation: Math.floor(validationAge / (24 * 60 * 60 * 1000)),
+        isStale,
         // Add validation steps to show it came from database
         validationSteps: [
-          { step: '1_database_check', passed: true, note: 'Email found in database as valid' }
+          { 
+            step: '1_database_check', 
+            passed: true, 
+            note: isStale ? 'Email found in database as valid, but past its maximum age' : 'Email found in database as valid'
+          }
         ]
       };
     } catch (error) {
@@ -915,6 +1990,16 @@ class EmailValidationService {
     }
   }
   
+  // Move a row to its current cache key - if a row already exists under that key the old one is simply left behind
+  async rekeyCachedEmail(legacyKey, cacheKey) {
+    try {
+      await db.update('email_validations', { email: cacheKey }, { email: legacyKey }, { returning: false });
+      this.logger.debug('Email cache row moved to current key', { legacyKey, cacheKey });
+    } catch (error) {
+      this.logger.warn('Failed to move email cache row to current key', { legacyKey, cacheKey, error: error.message });
+    }
+  }
+  
   // Save valid emails to database (only "Unlikely to bounce" emails)
   async saveEmailCache(email, validationResult, clientId) {
     // Only save emails that are "Unlikely to bounce"
@@ -928,8 +2013,9 @@ class EmailValidationService {
     }
     
     try {
+      const cacheKey = this.getEmailCacheKey(email);
       const cacheData = {
-        email: email.toLowerCase(),
+        email: cacheKey,
         um_email: validationResult.um_email || validationResult.currentEmail,
         um_email_status: validationResult.um_email_status,
         um_bounce_status: validationResult.um_bounce_status,
@@ -943,7 +2029,7 @@ class EmailValidationService {
       const updateResult = await db.update(
         'email_validations',
         cacheData,
-        { email: email.toLowerCase() },
+        { email: cacheKey },
         { returning: false }
       );
       
@@ -960,15 +2046,100 @@ class EmailValidationService {
       }
     }
   }
+  
+  // Re-verify aging cache entries within a batch and time budget
+  // Valid entries get a fresh date_last_um_check, invalid ones are evicted
+  async reverifyCachedEmails(options = {}) {
+    const reverifyConfig = config.validation.email.reverify;
+    const {
+      batchSize = reverifyConfig.batchSize,
+      timeBudget = reverifyConfig.timeBudget,
+      afterDays = reverifyConfig.afterDays
+    } = options;
+    
+    const startTime = Date.now();
+    const cutoffEpoch = startTime - afterDays * 24 * 60 * 60 * 1000;
+    const stats = { checked: 0, refreshed: 0, evicted: 0, inconclusive: 0, failed: 0, budgetExhausted: false };
+    
+    // Oldest-touched entries first so inconclusive ones don't block the queue
+    const entries = await db.executeWithRetry(async (supabase) => {
+      const { data, error } = await supabase
+        .from('email_validations')
+        .select('email, um_email, date_last_um_check_epoch')
+        .lt('date_last_um_check_epoch', cutoffEpoch)
+        .order('updated_at', { ascending: true })
+        .limit(batchSize);
+      
+      if (error) throw error;
+      return data || [];
+    });
+    
+    this.logger.info('Re-verifying aging email cache entries', {
+      candidates: entries.length,
+      afterDays,
+      batchSize
+    });
+    
+    for (const entry of entries) {
+      if (Date.now() - startTime > timeBudget) {
+        stats.budgetExhausted = true;
+        break;
+      }
+      
+      stats.checked++;
+      
+      try {
+        const result = await this.runValidationFlow(entry.um_email || entry.email, {
+          useCache: false,
+          accountType: 'premium' // so the result carries um_bounce_status
+        });
+        
+        if (result.status === 'valid' && result.um_bounce_status === 'Unlikely to bounce') {
+          await db.update('email_validations', {
+            date_last_um_check: result.date_last_um_check,
+            date_last_um_check_epoch: result.date_last_um_check_epoch,
+            um_check_id: result.um_check_id,
+            updated_at: new Date().toISOString()
+          }, { email: entry.email });
+          stats.refreshed++;
+        } else if (result.status === 'invalid') {
+          await db.delete('email_validations', { email: entry.email });
+          stats.evicted++;
+          this.logger.debug('Evicted invalid email from cache', {
+            email: entry.email,
+            subStatus: result.subStatus
+          });
+        } else {
+          // Keep the entry but move it to the back of the line
+          await db.update('email_validations', {
+            updated_at: new Date().toISOString()
+          }, { email: entry.email });
+          stats.inconclusive++;
+        }
+      } catch (error) {
+        stats.failed++;
+        this.logger.error('Failed to re-verify cached email', error, { email: entry.email });
+      }
+    }
+    
+    stats.durationMs = Date.now() - startTime;
+    
+    this.logger.info('Email cache re-verification completed', stats);
+    
+    return stats;
+  }
 }
 
 // Create singleton instance
 const emailValidationService = new EmailValidationService();
 
-// Set up periodic MX cache cleanup (every hour)
+// Set up periodic MX cache and greylist cleanup (every hour) - housekeeping only, so it doesn't keep the process alive
 setInterval(() => {
   emailValidationService.cleanupMxCache();
-}, 3600000);
+  emailValidationService.cleanupCatchAllCache();
+  emailValidationService.smtpProbe.cleanupGreylist();
+  domainReputationService.cleanupCache();
+}, 3600000).unref();
 
 // Export the class and instance
 export { emailValidationService, EmailValidationService };
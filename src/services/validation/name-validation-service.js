@@ -3,9 +3,126 @@ import db from '../../core/db.js';
 import { config } from '../../core/config.js';
 import { createServiceLogger } from '../../core/logger.js';
 import { ValidationError, DatabaseError } from '../../core/errors.js';
+import { TRANSLITERATION_SCHEMES, DEFAULT_SCHEMES, toAscii, transliterate } from './transliteration.js';
+import { longestSequentialRun, similarity } from './string-similarity.js';
+import { referenceDataService } from '../reference-data-service.js';
+import { emailValidationService } from './email-validation-service.js';
+import clientService from '../client-service.js';
 
 const logger = createServiceLogger('name-validation-service');
 
+// Consonant pairs that can start an English/European given name ("chris", "brad", "steve")
+// Any other leading consonant pair in a single-token local part reads as an initial ("jsmith")
+const NAME_ONSETS = new Set([
+  'bl', 'br', 'ch', 'cl', 'cr', 'dr', 'dw', 'fl', 'fr', 'gl', 'gr', 'gw', 'kh', 'kl', 'kr',
+  'ph', 'pl', 'pr', 'rh', 'sc', 'sh', 'sk', 'sl', 'sm', 'sn', 'sp', 'st', 'sv', 'sw', 'th',
+  'tr', 'tw', 'wh', 'wr', 'zh'
+]);
+
+// Scripts whose names are written family name first
+const FAMILY_FIRST_SCRIPTS = new Set(['han', 'hiragana', 'katakana', 'hangul']);
+
+// Name culture from the language part of a locale hint ("hu-HU" -> "hu")
+const LOCALE_CULTURES = {
+  zh: 'east_asian', ja: 'japanese', ko: 'east_asian',
+  hu: 'hungarian',
+  es: 'hispanic', pt: 'hispanic', ca: 'hispanic', gl: 'hispanic',
+  nl: 'dutch'
+};
+
+// Name culture from an ISO 3166-1 alpha-2 country hint
+const COUNTRY_CULTURES = {
+  CN: 'east_asian', TW: 'east_asian', HK: 'east_asian', MO: 'east_asian',
+  JP: 'japanese', KR: 'east_asian', KP: 'east_asian',
+  HU: 'hungarian',
+  ES: 'hispanic', PT: 'hispanic', BR: 'hispanic', MX: 'hispanic', AR: 'hispanic',
+  CO: 'hispanic', CL: 'hispanic', PE: 'hispanic', VE: 'hispanic', EC: 'hispanic',
+  GT: 'hispanic', CU: 'hispanic', BO: 'hispanic', DO: 'hispanic', HN: 'hispanic',
+  PY: 'hispanic', SV: 'hispanic', NI: 'hispanic', CR: 'hispanic', PA: 'hispanic',
+  UY: 'hispanic', PR: 'hispanic',
+  NL: 'dutch', SR: 'dutch'
+};
+
+// Two-character family names, checked before falling back to a single character
+const COMPOUND_FAMILY_NAMES = [
+  '欧阳', '歐陽', '司马', '司馬', '诸葛', '諸葛', '上官', '东方', '東方', '皇甫',
+  '尉迟', '尉遲', '公孙', '公孫', '慕容', '令狐', '长孙', '長孫', '宇文', '夏侯', '司徒',
+  '남궁', '황보', '제갈', '선우', '독고', '사공', '서문'
+];
+
+// Words joining two Iberian surnames ("Ortega y Gasset")
+const SURNAME_CONNECTORS = new Set(['y', 'e', 'i']);
+
+// Letter pairs that (almost) never occur in European names but are common in key mashing
+const RARE_BIGRAMS = new Set([
+  'bq', 'bx', 'cj', 'cv', 'cx', 'dx', 'fq', 'fx', 'fz', 'gq', 'gx', 'hx', 'hz', 'jb', 'jd', 'jf', 'jg', 'jh', 'jk', 'jl', 'jm', 'jn', 'jp', 'jq', 'jr', 'js', 'jt', 'jv', 'jw',
+  'jx', 'jz', 'kq', 'kx', 'kz', 'lx', 'mq', 'mx', 'pq', 'px', 'qb', 'qc', 'qd', 'qf', 'qg',
+  'qh', 'qj', 'qk', 'ql', 'qm', 'qn', 'qp', 'qq', 'qr', 'qs', 'qt', 'qv', 'qw', 'qx', 'qy',
+  'qz', 'sx', 'tq', 'tx', 'vb', 'vf', 'vh', 'vj', 'vk', 'vm', 'vp', 'vq', 'vw', 'vx', 'wq',
+  'wx', 'xb', 'xd', 'xf', 'xg', 'xj', 'xk', 'xm', 'xq', 'xr', 'xv', 'xw', 'xz', 'zf', 'zj',
+  'zq', 'zx', 'fh', 'hf', 'kc', 'gk', 'dq', 'cq', 'hq', 'hj', 'fj', 'fk', 'gj', 'kj', 'zk'
+]);
+
+// How much each component counts towards the overall match score
+const MATCH_WEIGHTS = { firstName: 0.4, middleName: 0.1, lastName: 0.5 };
+
+// Score for a first or last name only one side has - it can neither confirm nor rule out a match
+const ONE_SIDED_COMPONENT_SCORE = 0.5;
+
+// Consonant clusters pronounced as one sound, collapsed before measuring consonant runs
+const CONSONANT_DIGRAPHS = /tsch|sch|ch|sh|th|ph|ck|rh|wh|sz|cz|gh/g;
+
+// Legal-entity suffixes (dots stripped, lower-case) -> how they are written
+const LEGAL_ENTITY_SUFFIXES = new Map([
+  ['inc', 'Inc.'], ['incorporated', 'Incorporated'], ['llc', 'LLC'], ['llp', 'LLP'], ['pllc', 'PLLC'],
+  ['ltd', 'Ltd'], ['limited', 'Limited'], ['plc', 'PLC'], ['corp', 'Corp.'], ['corporation', 'Corporation'],
+  ['pty', 'Pty'], ['pvt', 'Pvt'], ['gmbh', 'GmbH'], ['mbh', 'mbH'], ['kgaa', 'KGaA'], ['sarl', 'SARL'],
+  ['srl', 'S.r.l.'], ['spa', 'S.p.A.'], ['oyj', 'Oyj'], ['sro', 's.r.o.'], ['kft', 'Kft.'],
+  ['ооо', 'ООО'], ['зао', 'ЗАО'], ['оао', 'ОАО'], ['пао', 'ПАО'],
+  // Short forms that could be a name part unless written with dots or capitals ("S.A.", "AG", "Anna Sas")
+  ['sa', 'S.A.'], ['ag', 'AG'], ['kg', 'KG'], ['as', 'AS'], ['ab', 'AB'], ['co', 'Co.'], ['lp', 'LP'],
+  ['pc', 'PC'], ['sl', 'S.L.'], ['kk', 'K.K.'], ['asa', 'ASA'], ['sas', 'SAS'], ['oy', 'Oy'],
+  ['ug', 'UG'], ['nv', 'N.V.'], ['bv', 'B.V.'], ['aps', 'ApS']
+]);
+
+const AMBIGUOUS_ENTITY_SUFFIXES = new Set([
+  'sa', 'ag', 'kg', 'as', 'ab', 'co', 'lp', 'pc', 'sl', 'kk', 'asa', 'sas', 'oy', 'ug', 'nv', 'bv', 'aps'
+]);
+
+// Legal forms in scripts written without spaces
+const UNSPACED_LEGAL_FORMS = ['株式会社', '有限会社', '合同会社', '股份有限公司', '有限公司', '주식회사', '(주)', '㈜'];
+
+// Words that make up department and shared-inbox names ("Accounts Payable", "IT Support")
+const DEPARTMENT_TERMS = new Set([
+  'accounts', 'payable', 'receivable', 'accounting', 'finance', 'billing', 'purchasing',
+  'procurement', 'sales', 'marketing', 'support', 'customer', 'service', 'care', 'human',
+  'resources', 'hr', 'it', 'helpdesk', 'help', 'desk', 'reception', 'front', 'admissions',
+  'payroll', 'legal', 'operations', 'office', 'department', 'dept', 'team', 'info', 'webmaster',
+  'shipping', 'receiving', 'warehouse', 'management', 'admin', 'administration', 'recruiting',
+  'careers', 'enquiries', 'inquiries', 'orders', 'returns', 'claims', 'compliance', 'general',
+  'the', 'of', 'and', '&'
+]);
+
+// Department words too generic to make a department name on their own
+const DEPARTMENT_FILLERS = new Set(['the', 'of', 'and', '&', 'general', 'front', 'customer', 'human']);
+
+// Words that mark a trading name ("Joe's Plumbing", "Smith Dental Group")
+const BUSINESS_TERMS = new Set([
+  'plumbing', 'construction', 'consulting', 'consultants', 'services', 'solutions', 'holdings',
+  'group', 'industries', 'enterprises', 'associates', 'partners', 'technologies', 'technology',
+  'systems', 'software', 'properties', 'realty', 'restaurant', 'bakery', 'cafe', 'studio',
+  'studios', 'agency', 'clinic', 'hospital', 'academy', 'institute', 'university', 'college',
+  'foundation', 'insurance', 'motors', 'logistics', 'transport', 'electric', 'electrical',
+  'dental', 'firm', 'store', 'shop', 'international', 'global', 'labs', 'laboratories',
+  'ventures', 'capital', 'media', 'manufacturing', 'supply', 'supplies', 'trading', 'farms',
+  'hotel', 'salon', 'pharmacy', 'association', 'society', 'roofing', 'landscaping', 'cleaning',
+  'catering', 'automotive', 'healthcare', 'pharmaceuticals', 'builders', 'contractors',
+  'wholesale', 'imports', 'exports', 'bros', 'brothers'
+]);
+
+// Words joining owners in a business name ("Smith & Sons")
+const BUSINESS_CONNECTORS = new Set(['&', 'and', '+']);
+
 class NameValidationService {
   constructor() {
     this.logger = logger;
@@ -19,8 +136,13 @@ class NameValidationService {
     this.securityPatterns = new Set();
     this.specialCaseCorrections = new Map();
     
-    // Load normalization data on startup
+    // Nickname dictionary: nickname -> formal names, formal name -> nicknames
+    this.nicknameFormals = new Map();
+    this.formalNicknames = new Map();
+    
+    // Load normalization data on startup, and again whenever an admin edits it
     this.loadNormalizationData();
+    referenceDataService.registerReloader('name', () => this.loadNormalizationData());
   }
   
   async loadNormalizationData() {
@@ -32,41 +154,49 @@ class NameValidationService {
         particlesData,
         suspiciousData,
         securityData,
-        specialCasesData
+        specialCasesData,
+        nicknamesData
       ] = await Promise.all([
-        db.select('honorifics', {}, { columns: 'honorific' }).catch(() => ({ rows: [] })),
-        db.select('suffixes', {}, { columns: 'suffix, formatted' }).catch(() => ({ rows: [] })),
-        db.select('name_particles', {}, { columns: 'particle' }).catch(() => ({ rows: [] })),
-        db.select('suspicious_names', {}, { columns: 'name' }).catch(() => ({ rows: [] })),
-        db.select('security_patterns', {}, { columns: 'pattern' }).catch(() => ({ rows: [] })),
-        db.select('special_case_names', {}, { columns: 'name_typo, name_correction' }).catch(() => ({ rows: [] }))
+        db.select('honorifics', {}, { columns: 'honorific' }).catch(() => null),
+        db.select('suffixes', {}, { columns: 'suffix, formatted' }).catch(() => null),
+        db.select('name_particles', {}, { columns: 'particle' }).catch(() => null),
+        db.select('suspicious_names', {}, { columns: 'name' }).catch(() => null),
+        db.select('security_patterns', {}, { columns: 'pattern' }).catch(() => null),
+        db.select('special_case_names', {}, { columns: 'name_typo, name_correction' }).catch(() => null),
+        db.select('name_nicknames', {}, { columns: 'nickname, formal_name' }).catch(() => null)
       ]);
       
-      // Populate sets and maps
+      // Rebuild each list that loaded and swap it in without awaiting, so a reload never
+      // leaves a request looking at a half-filled list. A failed query keeps the current list.
       if (honorificsData?.rows) {
-        honorificsData.rows.forEach(row => this.honorifics.add(row.honorific.toLowerCase()));
+        this.honorifics = new Set(honorificsData.rows.map(row => row.honorific.toLowerCase()));
       }
       if (suffixesData?.rows) {
-        suffixesData.rows.forEach(row => {
-          this.suffixes.add(row.suffix.toLowerCase());
-          if (row.formatted) {
-            this.suffixFormatting.set(row.suffix.toLowerCase(), row.formatted);
-          }
-        });
+        this.suffixes = new Set(suffixesData.rows.map(row => row.suffix.toLowerCase()));
+        this.suffixFormatting = new Map(
+          suffixesData.rows
+            .filter(row => row.formatted)
+            .map(row => [row.suffix.toLowerCase(), row.formatted])
+        );
       }
       if (particlesData?.rows) {
-        particlesData.rows.forEach(row => this.nameParticles.add(row.particle.toLowerCase()));
+        this.nameParticles = new Set(particlesData.rows.map(row => row.particle.toLowerCase()));
       }
       if (suspiciousData?.rows) {
-        suspiciousData.rows.forEach(row => this.suspiciousNames.add(row.name.toLowerCase()));
+        this.suspiciousNames = new Set(suspiciousData.rows.map(row => row.name.toLowerCase()));
       }
       if (securityData?.rows) {
-        securityData.rows.forEach(row => this.securityPatterns.add(row.pattern.toLowerCase()));
+        this.securityPatterns = new Set(securityData.rows.map(row => row.pattern.toLowerCase()));
       }
       if (specialCasesData?.rows) {
-        specialCasesData.rows.forEach(row => {
-          this.specialCaseCorrections.set(row.name_typo.toLowerCase(), row.name_correction);
-        });
+        this.specialCaseCorrections = new Map(
+          specialCasesData.rows.map(row => [row.name_typo.toLowerCase(), row.name_correction])
+        );
+      }
+      if (nicknamesData?.rows) {
+        this.nicknameFormals = new Map();
+        this.formalNicknames = new Map();
+        nicknamesData.rows.forEach(row => this.addNickname(row.nickname, row.formal_name));
       }
       
       // Initialize default data if database is empty
@@ -78,7 +208,8 @@ class NameValidationService {
         particles: this.nameParticles.size,
         suspicious: this.suspiciousNames.size,
         security: this.securityPatterns.size,
-        specialCases: this.specialCaseCorrections.size
+        specialCases: this.specialCaseCorrections.size,
+        nicknames: this.nicknameFormals.size
       });
     } catch (error) {
       this.logger.error('Failed to load normalization data', error);
@@ -145,6 +276,128 @@ class NameValidationService {
         ['desouza', 'De Souza'], ['delafuente', 'De la Fuente'], ['macassi', 'Macassi']
       ]);
     }
+    
+    // Default nicknames
+    if (this.nicknameFormals.size === 0) {
+      Object.entries({
+        Robert: ['Bob', 'Bobby', 'Rob', 'Robbie', 'Bert'],
+        William: ['Will', 'Bill', 'Billy', 'Willie', 'Liam'],
+        Elizabeth: ['Liz', 'Beth', 'Betty', 'Eliza', 'Lizzie', 'Libby'],
+        Richard: ['Rick', 'Dick', 'Rich', 'Ricky'],
+        James: ['Jim', 'Jimmy', 'Jamie'],
+        John: ['Jack', 'Johnny'],
+        Michael: ['Mike', 'Mikey', 'Mick'],
+        Joseph: ['Joe', 'Joey'],
+        Thomas: ['Tom', 'Tommy'],
+        Charles: ['Charlie', 'Chuck', 'Chaz'],
+        Edward: ['Ed', 'Eddie', 'Ted', 'Ned'],
+        Daniel: ['Dan', 'Danny'],
+        David: ['Dave', 'Davey'],
+        Matthew: ['Matt'],
+        Christopher: ['Chris', 'Kit'],
+        Anthony: ['Tony'],
+        Nicholas: ['Nick', 'Nicky'],
+        Benjamin: ['Ben', 'Benny'],
+        Samuel: ['Sam', 'Sammy'],
+        Steven: ['Steve'],
+        Stephen: ['Steve'],
+        Andrew: ['Andy', 'Drew'],
+        Gregory: ['Greg'],
+        Timothy: ['Tim', 'Timmy'],
+        Jonathan: ['Jon'],
+        Patrick: ['Pat', 'Paddy'],
+        Peter: ['Pete'],
+        Kenneth: ['Ken', 'Kenny'],
+        Ronald: ['Ron', 'Ronnie'],
+        Donald: ['Don', 'Donnie'],
+        Gerald: ['Gerry', 'Jerry'],
+        Lawrence: ['Larry'],
+        Frederick: ['Fred', 'Freddie'],
+        Alexander: ['Alex', 'Al', 'Sandy'],
+        Alexandra: ['Alex', 'Sandra', 'Sandy'],
+        Margaret: ['Maggie', 'Meg', 'Peggy', 'Marge'],
+        Katherine: ['Kate', 'Kathy', 'Katie', 'Kat'],
+        Catherine: ['Cathy', 'Cat', 'Kate'],
+        Jennifer: ['Jen', 'Jenny'],
+        Jessica: ['Jess', 'Jessie'],
+        Patricia: ['Pat', 'Patty', 'Trish'],
+        Rebecca: ['Becky', 'Becca'],
+        Susan: ['Sue', 'Susie'],
+        Deborah: ['Deb', 'Debbie'],
+        Victoria: ['Vicky', 'Tori'],
+        Christine: ['Chris', 'Christy'],
+        Abigail: ['Abby'],
+        Samantha: ['Sam'],
+        Barbara: ['Barb', 'Babs'],
+        Dorothy: ['Dot', 'Dottie'],
+        Jacqueline: ['Jackie'],
+        Theodore: ['Ted', 'Teddy', 'Theo']
+      }).forEach(([formalName, nicknames]) => {
+        nicknames.forEach(nickname => this.addNickname(nickname, formalName));
+      });
+    }
+  }
+  
+  // Register one nickname -> formal name pair in both directions
+  addNickname(nickname, formalName) {
+    if (!nickname || !formalName) return;
+    
+    const nicknameKey = nickname.toLowerCase();
+    const formalKey = formalName.toLowerCase();
+    
+    const formals = this.nicknameFormals.get(nicknameKey) || [];
+    if (!formals.some(name => name.toLowerCase() === formalKey)) {
+      formals.push(formalName);
+    }
+    this.nicknameFormals.set(nicknameKey, formals);
+    
+    const nicknames = this.formalNicknames.get(formalKey) || [];
+    if (!nicknames.some(name => name.toLowerCase() === nicknameKey)) {
+      nicknames.push(nickname);
+    }
+    this.formalNicknames.set(formalKey, nicknames);
+  }
+  
+  // Formal form of a given name and every known variant of it
+  // The first dictionary entry wins when a nickname is shared ("Alex" -> Alexander, Alexandra)
+  getNameVariants(firstName) {
+    const key = (firstName || '').trim().toLowerCase();
+    if (!key) {
+      return { formalName: '', variants: [] };
+    }
+    
+    const formals = this.nicknameFormals.get(key) ||
+      (this.formalNicknames.has(key) ? [firstName] : null);
+    
+    if (!formals) {
+      return { formalName: firstName, variants: [] };
+    }
+    
+    const seen = new Set();
+    const variants = [];
+    formals.forEach(formalName => {
+      [formalName, ...(this.formalNicknames.get(formalName.toLowerCase()) || [])].forEach(name => {
+        if (!seen.has(name.toLowerCase())) {
+          seen.add(name.toLowerCase());
+          variants.push(name);
+        }
+      });
+    });
+    
+    return {
+      formalName: this.nicknameFormals.has(key) ? formals[0] : firstName,
+      variants
+    };
+  }
+  
+  // Nickname output fields - um_first_name keeps the name the person actually gave
+  getNicknameFields(firstName) {
+    const { formalName, variants } = this.getNameVariants(firstName);
+    
+    return {
+      um_formal_first_name: formalName,
+      um_first_name_variants: variants
+    };
   }
   
   // Basic name format validation - UPDATED TO INCLUDE COMMA
@@ -191,6 +444,406 @@ class NameValidationService {
     return 'latin';
   }
   
+  // Pick the naming convention from the script, then the locale, then the country
+  resolveNameCulture(script, options = {}) {
+    const { locale = null, country = null } = options;
+    
+    const [language, region] = locale ? String(locale).split(/[-_]/) : [];
+    const countryCode = (country || region || '').toUpperCase();
+    
+    // Kana only appear in Japanese; kanji/hanzi need a hint to tell the two apart
+    if (script === 'hiragana' || script === 'katakana') {
+      return 'japanese';
+    }
+    if (FAMILY_FIRST_SCRIPTS.has(script)) {
+      const hinted = LOCALE_CULTURES[language?.toLowerCase()] || COUNTRY_CULTURES[countryCode];
+      return hinted === 'japanese' ? 'japanese' : 'east_asian';
+    }
+    
+    if (language && LOCALE_CULTURES[language.toLowerCase()]) {
+      return LOCALE_CULTURES[language.toLowerCase()];
+    }
+    
+    return COUNTRY_CULTURES[countryCode] || 'western';
+  }
+  
+  // How the full name is displayed for a culture
+  getNameOrder(culture) {
+    return ['east_asian', 'japanese', 'hungarian'].includes(culture) ? 'family_first' : 'given_first';
+  }
+  
+  // Split an unspaced CJK name into family and given name
+  splitUnspacedName(name, culture = 'east_asian') {
+    let familyLength = 1;
+    
+    if (culture === 'japanese') {
+      // Most Japanese family names are two kanji ("山田太郎")
+      familyLength = name.length >= 3 ? 2 : 1;
+    } else {
+      const compound = COMPOUND_FAMILY_NAMES.find(family => name.startsWith(family) && name.length > family.length);
+      familyLength = compound ? compound.length : 1;
+    }
+    
+    return {
+      family: name.substring(0, familyLength),
+      given: name.substring(familyLength)
+    };
+  }
+  
+  // Particles and connectors inside a surname stay lowercase ("García de la Cruz", "van der Berg")
+  formatSurnameParticles(lastName, { capitalizeLeading = false } = {}) {
+    if (!lastName) return lastName;
+    
+    const words = lastName.split(' ');
+    return words.map((word, index) => {
+      const lowered = word.toLowerCase();
+      const isJoiner = this.isNameParticle(lowered) || SURNAME_CONNECTORS.has(lowered);
+      
+      if (isJoiner && index < words.length - 1) {
+        return index === 0 && capitalizeLeading
+          ? lowered.charAt(0).toUpperCase() + lowered.slice(1)
+          : lowered;
+      }
+      return this.properCapitalize(word, true);
+    }).join(' ');
+  }
+  
+  // Full display name in the culture's order
+  composeFullName(parts, nameOrder = 'given_first', options = {}) {
+    const { honorific = '', firstName = '', middleName = '', lastName = '', suffix = '' } = parts;
+    const { script = 'latin', culture = 'western', unspaced = false } = options;
+    
+    if (nameOrder === 'family_first') {
+      // CJK names written without a space are displayed the same way
+      if (FAMILY_FIRST_SCRIPTS.has(script) && unspaced) {
+        return [honorific, `${lastName}${firstName}${middleName}`, suffix].filter(Boolean).join(' ');
+      }
+      return [honorific, lastName, firstName, middleName, suffix].filter(Boolean).join(' ');
+    }
+    
+    // Dutch tussenvoegsels are lowercase when the given name precedes them
+    const displayLast = culture === 'dutch' ? this.formatSurnameParticles(lastName) : lastName;
+    const first = honorific ? `${honorific} ${firstName}`.trim() : firstName;
+    const last = suffix ? `${displayLast} ${suffix}`.trim() : displayLast;
+    
+    return [first, middleName, last].filter(Boolean).join(' ');
+  }
+  
+  // Client transliteration settings layered over the config defaults
+  async getTransliterationSettings(clientId = null) {
+    const defaults = config.validation.name.transliteration;
+    const settings = {
+      enabled: defaults.enabled,
+      ascii: defaults.ascii,
+      schemes: { ...DEFAULT_SCHEMES }
+    };
+    
+    if (!clientId) {
+      return settings;
+    }
+    
+    try {
+      const client = await clientService.getClient(clientId);
+      if (client) {
+        settings.enabled = client.name_transliteration_enabled ?? settings.enabled;
+        settings.ascii = client.name_transliteration_ascii ?? settings.ascii;
+        Object.assign(settings.schemes, client.name_transliteration_schemes || {});
+      }
+    } catch (error) {
+      this.logger.error('Failed to get client transliteration settings', error, { clientId });
+    }
+    
+    return settings;
+  }
+  
+  // Set um_name_latin from the parsed parts, romanizing each in the script's scheme
+  applyTransliteration(result, settings = null, hints = {}) {
+    const { enabled, ascii, schemes } = settings || {
+      ...config.validation.name.transliteration,
+      schemes: DEFAULT_SCHEMES
+    };
+    
+    result.um_name_latin = null;
+    result.transliteration_scheme = null;
+    
+    if (!enabled || !result.um_name) {
+      return result;
+    }
+    
+    const script = result.script;
+    if (script === 'latin' || script === 'unknown' || script === 'non-latin') {
+      result.um_name_latin = ascii ? toAscii(result.um_name) : result.um_name;
+      return result;
+    }
+    
+    // Kanji readings are chosen by the bearer - pinyin would be wrong and we have no reading dictionary
+    if (script === 'han' && this.resolveNameCulture(script, hints) === 'japanese') {
+      return result;
+    }
+    
+    // Arabic and Hebrew leave most vowels unwritten and Thai some of them, so names in those scripts
+    // can't be spelled letter by letter - say so rather than leave um_name_latin empty without a word
+    const available = TRANSLITERATION_SCHEMES[script];
+    if (!available) {
+      const issue = `No offline romanization for ${script} names`;
+      result.transliteration_scheme = 'unsupported';
+      if (result.potentialIssues && !result.potentialIssues.includes(issue)) {
+        result.potentialIssues.push(issue);
+      }
+      return result;
+    }
+    
+    if (schemes[script] === 'none') {
+      return result;
+    }
+    
+    const scheme = available.includes(schemes[script]) ? schemes[script] : DEFAULT_SCHEMES[script];
+    const romanize = (text, part = 'given') => {
+      if (!text || !/[^\u0000-\u007F]/.test(text)) {
+        return text || '';
+      }
+      return (transliterate(text, script, scheme, { part }) || '')
+        .replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+    };
+    
+    const latin = this.composeFullName({
+      honorific: romanize(result.honorific),
+      firstName: romanize(result.firstName),
+      middleName: romanize(result.middleName),
+      lastName: romanize(result.lastName, 'family'),
+      suffix: romanize(result.suffix)
+    }, result.name_order, { script: 'latin' });
+    
+    result.um_name_latin = ascii ? toAscii(latin) : latin;
+    result.transliteration_scheme = scheme;
+    
+    return result;
+  }
+  
+  // Suspicious entry matching a whole word of the text, so "Nadia" no longer matches "na"
+  findSuspiciousName(text) {
+    if (!text) return null;
+    
+    const lowered = text.toLowerCase();
+    for (const suspicious of this.suspiciousNames) {
+      const escaped = suspicious.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'u').test(lowered)) {
+        return suspicious;
+      }
+    }
+    return null;
+  }
+  
+  // 0-1 likelihood that the name parts are key mashing rather than a name, with the signals behind it
+  calculateGibberishScore(parts = []) {
+    const tokens = toAscii(parts.filter(Boolean).join(' '))
+      .toLowerCase()
+      .split(/[\s\-'.,]+/)
+      .filter(token => token.length >= 3 && /^[a-z]+$/.test(token));
+    
+    let score = 0;
+    const signals = new Set();
+    let flaggedTokens = 0;
+    
+    tokens.forEach(token => {
+      const tokenSignals = [];
+      
+      // Repeated letters - "bbbbb" or "aaab"
+      if (new Set(token).size === 1) {
+        tokenSignals.push(['repeated_characters', 0.8]);
+      } else if (/(.)\1\1/.test(token)) {
+        tokenSignals.push(['repeated_characters', 0.5]);
+      }
+      
+      // Runs along a keyboard row or the alphabet - "asdf", "qwerty", "abcd"
+      const run = longestSequentialRun(token);
+      if (run >= 4) {
+        tokenSignals.push(['keyboard_run', Math.min(0.8, 0.5 + (run - 4) * 0.1)]);
+      }
+      
+      // No vowels at all
+      if (!/[aeiouy]/.test(token)) {
+        tokenSignals.push(['no_vowels', token.length >= 4 ? 0.6 : 0.35]);
+      }
+      
+      // Long consonant runs once digraphs like "sch" count as one sound
+      const longestConsonants = Math.max(0, ...(token.replace(CONSONANT_DIGRAPHS, 'c').match(/[^aeiouy]+/g) || []).map(c => c.length));
+      if (longestConsonants >= 6) {
+        tokenSignals.push(['consonant_cluster', 0.45]);
+      } else if (longestConsonants >= 5) {
+        tokenSignals.push(['consonant_cluster', 0.25]);
+      }
+      
+      // Letter pairs that names don't use
+      let rare = 0;
+      for (let i = 1; i < token.length; i++) {
+        if (RARE_BIGRAMS.has(token.substring(i - 1, i + 1))) rare++;
+      }
+      if (rare > 0) {
+        tokenSignals.push(['rare_letter_pairs', Math.min(0.7, rare / (token.length - 1) * 1.5)]);
+      }
+      
+      // Independent signals combine like probabilities
+      const tokenScore = 1 - tokenSignals.reduce((remaining, [, weight]) => remaining * (1 - weight), 1);
+      tokenSignals.forEach(([signal]) => signals.add(signal));
+      
+      if (tokenScore >= config.validation.name.gibberishWarnThreshold) {
+        flaggedTokens++;
+      }
+      score = Math.max(score, tokenScore);
+    });
+    
+    // Every part of the name looking mashed is stronger evidence than one odd surname
+    if (flaggedTokens > 1) {
+      score = Math.min(1, score + 0.1 * (flaggedTokens - 1));
+    }
+    
+    return {
+      score: Math.round(score * 100) / 100,
+      signals: [...signals]
+    };
+  }
+  
+  // person, organization or department, from legal suffixes, department words and business terms
+  classifyNameType(text) {
+    const person = { name_type: 'person', matched: [], confidence: null };
+    if (!text) return person;
+    
+    const value = String(text).trim().replace(/\s+/g, ' ');
+    
+    const unspacedForm = UNSPACED_LEGAL_FORMS.find(form => value.includes(form));
+    if (unspacedForm) {
+      return { name_type: 'organization', matched: [unspacedForm], confidence: 'high' };
+    }
+    
+    const rawTokens = value.split(/[\s,]+/).filter(Boolean);
+    const tokens = rawTokens.map(token => token.toLowerCase().replace(/[.()]/g, ''));
+    const shouting = value === value.toUpperCase();
+    
+    // Legal-entity suffix anywhere after the first word ("Acme Plumbing LLC", "Siemens AG")
+    const legal = rawTokens.filter((raw, index) => {
+      const token = tokens[index];
+      if (index === 0 || !LEGAL_ENTITY_SUFFIXES.has(token)) return false;
+      if (!AMBIGUOUS_ENTITY_SUFFIXES.has(token)) return true;
+      // Mixed case no name is written in ("ApS") counts like dots and capitals
+      const mixedCase = raw === LEGAL_ENTITY_SUFFIXES.get(token) && /[a-z][A-Z]/.test(raw);
+      return raw.includes('.') || mixedCase || (!shouting && raw === raw.toUpperCase());
+    });
+    
+    if (legal.length > 0) {
+      return { name_type: 'organization', matched: legal, confidence: 'high' };
+    }
+    
+    // Made entirely of department words, with at least one that means something on its own
+    if (tokens.every(token => DEPARTMENT_TERMS.has(token)) &&
+        tokens.some(token => !DEPARTMENT_FILLERS.has(token))) {
+      return {
+        name_type: 'department',
+        matched: rawTokens.filter((raw, index) => !DEPARTMENT_FILLERS.has(tokens[index])),
+        confidence: tokens.length > 1 ? 'high' : 'medium'
+      };
+    }
+    
+    // Business terms - two of them, or one closing the name plus something else no person's name
+    // has: a connector, a possessive, digits, or a third word after a lead that isn't a given name
+    // ("Joe's Plumbing", "Smith & Sons Roofing", but not "Joyce Brothers" or "Chris Global")
+    const business = rawTokens.filter((raw, index) => BUSINESS_TERMS.has(tokens[index]));
+    const endsInBusinessTerm = tokens.length >= 2 && BUSINESS_TERMS.has(tokens[tokens.length - 1]);
+    const secondSignal = tokens.some(token => BUSINESS_CONNECTORS.has(token) || /'s$|\d/.test(token)) ||
+      (tokens.length >= 3 && !this.isKnownGivenName(tokens[0]));
+    
+    if (business.length >= 2 || (endsInBusinessTerm && secondSignal)) {
+      return {
+        name_type: 'organization',
+        matched: business,
+        confidence: business.length >= 2 ? 'high' : 'medium'
+      };
+    }
+    
+    return person;
+  }
+  
+  // Company name as it should be stored - recased only when typed in a single case
+  formatCompanyName(text) {
+    const value = String(text || '').trim().replace(/\s+/g, ' ');
+    
+    if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+      return value;
+    }
+    
+    return value.split(' ').map((word, index) => {
+      const key = word.toLowerCase().replace(/[.()]/g, '');
+      if (index > 0 && LEGAL_ENTITY_SUFFIXES.has(key)) {
+        return LEGAL_ENTITY_SUFFIXES.get(key);
+      }
+      return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    }).join(' ');
+  }
+  
+  // Result for a company or department typed into the name fields - nothing goes into the person fields
+  buildNonPersonResult(result, classification, text) {
+    const isOrganization = classification.name_type === 'organization';
+    
+    Object.assign(result, {
+      firstName: '',
+      lastName: '',
+      middleName: '',
+      honorific: '',
+      suffix: '',
+      formatValid: true,
+      status: 'invalid',
+      subStatus: isOrganization ? 'organization_name' : 'department_name',
+      confidenceLevel: classification.confidence,
+      name_type: classification.name_type,
+      um_company_name: isOrganization ? this.formatCompanyName(text) : '',
+      um_first_name: '',
+      um_last_name: '',
+      um_middle_name: '',
+      um_name: '',
+      um_name_status: 'Unchanged',
+      um_name_format: 'Invalid',
+      um_honorific: '',
+      um_suffix: '',
+      um_formal_first_name: '',
+      um_first_name_variants: [],
+      um_name_latin: null,
+      transliteration_scheme: null
+    });
+    
+    result.potentialIssues.push(isOrganization
+      ? `Looks like an organization name (${classification.matched.join(', ')})`
+      : 'Looks like a department or shared inbox name');
+    
+    return result;
+  }
+  
+  // Fold the gibberish score into status, subStatus and confidence
+  applyGibberishScore(result) {
+    const { gibberishThreshold, gibberishWarnThreshold } = config.validation.name;
+    const { score, signals } = this.calculateGibberishScore([result.firstName, result.middleName, result.lastName]);
+    
+    result.gibberishScore = score;
+    result.gibberishSignals = signals;
+    
+    if (result.status !== 'valid') {
+      return result;
+    }
+    
+    if (score >= gibberishThreshold) {
+      result.status = 'invalid';
+      result.subStatus = 'likely_gibberish';
+      result.confidenceLevel = 'low';
+      result.potentialIssues.push('Name looks like random or keyboard-mashed text');
+    } else if (score >= gibberishWarnThreshold) {
+      result.potentialIssues.push('Name contains unusual letter patterns');
+      if (result.confidenceLevel === 'high') {
+        result.confidenceLevel = 'medium';
+      }
+    }
+    
+    return result;
+  }
+  
   // Check for security threats
   containsSecurityThreat(text) {
     if (!text || typeof text !== 'string') return false;
@@ -225,6 +878,12 @@ class NameValidationService {
     return this.nameParticles.has(component.toLowerCase());
   }
   
+  // Whether the nickname dictionary knows this as a given name (formal or nickname)
+  isKnownGivenName(name) {
+    const key = (name || '').toLowerCase();
+    return this.nicknameFormals.has(key) || this.formalNicknames.has(key);
+  }
+  
   // FIXED: Proper capitalization with special cases
   properCapitalize(name, isLastName = false) {
     if (!name) return '';
@@ -306,8 +965,168 @@ class NameValidationService {
     return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
   }
   
+  // Guess first/last name from an email local part ("john.smith", "jsmith", "smith_john2")
+  inferNameFromEmail(email) {
+    const result = {
+      email,
+      localPart: '',
+      firstName: '',
+      lastName: '',
+      firstInitial: '',
+      pattern: 'none',
+      confidence: 0,
+      confidenceLevel: 'low',
+      um_inferred_first_name: '',
+      um_inferred_last_name: '',
+      // Set either way, so a contact we could not infer a name for is not queued again
+      um_inferred_name_status: 'Not inferred'
+    };
+    
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return result;
+    }
+    
+    // Role accounts ("info@", "sales.team@") name a function, not a person
+    if (emailValidationService.classifyEmail(email).isRoleAccount) {
+      result.pattern = 'role_account';
+      return result;
+    }
+    
+    // Drop +tags and digits - they never belong to the name
+    const localPart = email.substring(0, email.lastIndexOf('@'))
+      .split('+')[0]
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/\d+/g, '');
+    result.localPart = localPart;
+    
+    // Dots and underscores separate name parts; hyphens only when nothing else does
+    let tokens = localPart.split(/[._]+/).filter(Boolean);
+    let hyphenSplit = false;
+    if (tokens.length === 1 && /^[^-]+-[^-]+$/.test(tokens[0]) && !/^\p{L}-\p{L}$/u.test(tokens[0])) {
+      tokens = tokens[0].split('-');
+      hyphenSplit = true;
+    }
+    
+    // Every token must look like a name and none can be a placeholder
+    const isPlausible = (token) => /^[\p{L}\p{M}'-]+$/u.test(token) &&
+      !this.suspiciousNames.has(token) &&
+      !this.containsSecurityThreat(token);
+    
+    if (tokens.length === 0 || !tokens.every(isPlausible)) {
+      return result;
+    }
+    
+    const isInitial = (token) => /^\p{L}(-\p{L})*$/u.test(token);
+    let firstName = '';
+    let lastName = '';
+    let firstInitial = '';
+    let pattern;
+    let confidence;
+    
+    if (tokens.length === 1) {
+      const token = tokens[0];
+      const onset = token.substring(0, 2);
+      const startsWithInitial = token.length >= 4 &&
+        !/[aeiouy]/.test(onset) &&
+        !NAME_ONSETS.has(onset);
+      
+      if (startsWithInitial) {
+        // "jsmith" - first initial followed by the last name
+        firstInitial = token.charAt(0);
+        lastName = token.substring(1);
+        pattern = 'initial_last';
+        confidence = 0.45;
+      } else if (token.length >= 2) {
+        // "john" - a bare first name
+        firstName = token;
+        pattern = 'first';
+        confidence = 0.35;
+      } else {
+        return result;
+      }
+    } else {
+      // Middle initials are noise ("john.a.smith")
+      const parts = tokens.filter((token, index) => index === 0 || index === tokens.length - 1 || !isInitial(token));
+      const first = parts[0];
+      const rest = parts.slice(1);
+      
+      // Particles stay with the last name ("jean.de.la.fontaine")
+      const particleStart = rest.findIndex((token, index) => index < rest.length - 1 && this.isNameParticle(token));
+      const lastTokens = particleStart >= 0 ? rest.slice(particleStart) : rest.slice(-1);
+      const middle = rest.slice(0, rest.length - lastTokens.length);
+      const last = lastTokens.join(' ');
+      
+      if (isInitial(first) && !isInitial(last)) {
+        // "j.smith" / "j-p.dupont"
+        firstInitial = first;
+        lastName = last;
+        pattern = 'initial_last';
+        confidence = first.length === 1 ? 0.6 : 0.65;
+      } else if (!isInitial(first) && isInitial(last) && rest.length === 1) {
+        // "smith.j" - last name followed by an initial
+        lastName = first;
+        firstInitial = last;
+        pattern = 'last_initial';
+        confidence = 0.5;
+      } else if (!isInitial(first) && !isInitial(last)) {
+        // Known given names decide the order - "smith_john" puts the family name first
+        const firstIsGiven = this.isKnownGivenName(first);
+        const lastIsGiven = particleStart < 0 && middle.length === 0 && this.isKnownGivenName(last);
+        
+        if (!firstIsGiven && lastIsGiven) {
+          firstName = last;
+          lastName = first;
+          pattern = 'last_first';
+          confidence = 0.7;
+        } else {
+          firstName = first;
+          lastName = last;
+          pattern = 'first_last';
+          
+          // Without a known given name the order is only the usual convention
+          confidence = firstIsGiven ? 0.85 : 0.7;
+        }
+        
+        // Unparsed middle words make the split less certain
+        if (middle.length > 0) {
+          confidence -= 0.15;
+        }
+      } else {
+        return result;
+      }
+    }
+    
+    // Underscores, hyphens and stripped digits are weaker signals than a dot
+    if (hyphenSplit) {
+      confidence -= 0.15;
+    } else if (localPart.includes('_')) {
+      confidence -= 0.1;
+    }
+    if (/\d/.test(email.substring(0, email.lastIndexOf('@')))) {
+      confidence -= 0.05;
+    }
+    
+    result.firstName = firstName ? this.properCapitalize(firstName) : '';
+    result.lastName = lastName ? this.formatSurnameParticles(lastName) : '';
+    result.firstInitial = firstInitial ? firstInitial.toUpperCase() : '';
+    result.pattern = pattern;
+    result.confidence = Math.max(0, Math.round(confidence * 100) / 100);
+    
+    if (result.confidence >= 0.75) result.confidenceLevel = 'high';
+    else if (result.confidence >= 0.5) result.confidenceLevel = 'medium';
+    else result.confidenceLevel = 'low';
+    
+    result.um_inferred_first_name = result.firstName;
+    result.um_inferred_last_name = result.lastName;
+    result.um_inferred_name_status = 'Inferred';
+    
+    return result;
+  }
+  
   // FIXED: Parse name components with better particle handling
-  parseNameComponents(name) {
+  parseNameComponents(name, options = {}) {
+    const { culture = 'western' } = options;
     const result = {
       firstName: '',
       lastName: '',
@@ -392,6 +1211,11 @@ class NameValidationService {
       }
     }
     
+    // Family-name-first and double-surname cultures
+    if (culture !== 'western' && this.applyCultureOrder(remainingComponents, culture, result)) {
+      return result;
+    }
+    
     // FIXED: Process remaining components with better particle handling
     if (remainingComponents.length === 1) {
       // Only one name component - treat as first name
@@ -436,9 +1260,53 @@ class NameValidationService {
     return result;
   }
   
+  // Assign first/middle/last for non-Western conventions - returns false to use the default split
+  applyCultureOrder(components, culture, result) {
+    if (culture === 'east_asian' || culture === 'japanese') {
+      if (components.length === 1) {
+        const { family, given } = this.splitUnspacedName(components[0], culture);
+        if (!given) return false;
+        
+        result.lastName = family;
+        result.firstName = given;
+        return true;
+      }
+      
+      result.lastName = components[0];
+      result.firstName = components.slice(1).join(' ');
+      return true;
+    }
+    
+    if (culture === 'hungarian' && components.length >= 2) {
+      // "Nagy János Péter"
+      result.lastName = components[0];
+      result.firstName = components[1];
+      result.middleName = components.slice(2).join(' ');
+      return true;
+    }
+    
+    if (culture === 'hispanic' && components.length >= 3) {
+      // A particle starts the surname ("Juan de la Cruz"), otherwise it is the last two words
+      const particleIndex = components.findIndex((component, index) => index > 0 && this.isNameParticle(component));
+      let surnameStart = particleIndex > 0 ? particleIndex : components.length - 2;
+      
+      // "José Ortega y Gasset"
+      if (particleIndex < 0 && surnameStart > 1 && SURNAME_CONNECTORS.has(components[surnameStart].toLowerCase())) {
+        surnameStart -= 1;
+      }
+      
+      result.firstName = components[0];
+      result.middleName = components.slice(1, surnameStart).join(' ');
+      result.lastName = components.slice(surnameStart).join(' ');
+      return true;
+    }
+    
+    return false;
+  }
+  
   // FIXED: Main validation function with proper change tracking
-  validateName(name) {
-    this.logger.debug('Starting name validation', { name });
+  validateName(name, options = {}) {
+    this.logger.debug('Starting name validation', { name, locale: options.locale, country: options.country });
     
     // Handle null/empty
     if (!name || name === '') {
@@ -464,12 +1332,21 @@ class NameValidationService {
         um_name_status: 'Unchanged',
         um_name_format: 'Invalid',
         um_honorific: '',
-        um_suffix: ''
+        um_suffix: '',
+        um_formal_first_name: '',
+        um_first_name_variants: [],
+        um_name_latin: null,
+        transliteration_scheme: null,
+        name_type: 'person',
+        um_company_name: '',
+        name_order: 'given_first'
       };
     }
     
     // Sanitize
     const sanitizedName = String(name).trim().replace(/\s+/g, ' ');
+    const script = this.detectScript(sanitizedName);
+    const culture = this.resolveNameCulture(script, options);
     
     // Check format
     const formatValid = this.isValidNameFormat(sanitizedName);
@@ -485,16 +1362,25 @@ class NameValidationService {
       middleName: '',
       honorific: '',
       suffix: '',
-      script: this.detectScript(sanitizedName),
+      script,
       formatValid: formatValid,
       status: formatValid ? 'valid' : 'invalid',
       subStatus: formatValid ? 'valid_format' : 'invalid_format',
       potentialIssues: [],
       confidenceLevel: 'high',
       isCommaFormat: false,
-      wasCorrected: false
+      wasCorrected: false,
+      name_order: this.getNameOrder(culture),
+      name_type: 'person',
+      um_company_name: ''
     };
     
+    // Companies and departments typed into a name field skip person parsing
+    const nameType = this.classifyNameType(sanitizedName);
+    if (nameType.name_type !== 'person' && !this.containsSecurityThreat(sanitizedName)) {
+      return this.buildNonPersonResult(result, nameType, sanitizedName);
+    }
+    
     if (!formatValid) {
       result.potentialIssues.push('Invalid name format');
       return result;
@@ -510,17 +1396,13 @@ class NameValidationService {
     }
     
     // Check for suspicious names
-    const lowerName = sanitizedName.toLowerCase();
-    for (const suspicious of this.suspiciousNames) {
-      if (lowerName.includes(suspicious)) {
-        result.potentialIssues.push('May be a test or placeholder name');
-        result.confidenceLevel = 'low';
-        break;
-      }
+    if (this.findSuspiciousName(sanitizedName)) {
+      result.potentialIssues.push('May be a test or placeholder name');
+      result.confidenceLevel = 'low';
     }
     
     // Parse components
-    const parsed = this.parseNameComponents(sanitizedName);
+    const parsed = this.parseNameComponents(sanitizedName, { culture });
     Object.assign(result, parsed);
     
     // Store original parsed values for comparison
@@ -535,6 +1417,13 @@ class NameValidationService {
       result.middleName = this.properCapitalize(result.middleName);
     }
     
+    // Surname particles follow the culture's rules
+    if (culture === 'hispanic') {
+      result.lastName = this.formatSurnameParticles(result.lastName);
+    } else if (culture === 'dutch') {
+      result.lastName = this.formatSurnameParticles(result.lastName, { capitalizeLeading: true });
+    }
+    
     // FIXED: Check if capitalization or parsing changed anything
     if (result.firstName !== originalFirst || 
         result.lastName !== originalLast || 
@@ -564,21 +1453,21 @@ class NameValidationService {
       result.confidenceLevel = 'medium';
     }
     
+    // Keyboard mashing and other non-names
+    this.applyGibberishScore(result);
+    
     // FIXED: Generate unmessy fields including middle name in um_name when present
     result.um_first_name = result.honorific ? 
       `${result.honorific} ${result.firstName}`.trim() : result.firstName;
     result.um_last_name = result.suffix ?
       `${result.lastName} ${result.suffix}`.trim() : result.lastName;
     
-    // FIXED: Include middle name in um_name
-    const nameComponents = [result.um_first_name];
-    if (result.middleName) {
-      nameComponents.push(result.middleName);
-    }
-    if (result.um_last_name) {
-      nameComponents.push(result.um_last_name);
-    }
-    result.um_name = nameComponents.filter(Boolean).join(' ');
+    // Full name in the culture's display order (includes the middle name)
+    result.um_name = this.composeFullName(result, result.name_order, {
+      script: result.script,
+      culture,
+      unspaced: !sanitizedName.includes(' ')
+    });
     
     result.um_name_status = result.wasCorrected ? 'Changed' : 'Unchanged';
     result.um_name_format = result.formatValid ? 'Valid' : 'Invalid';
@@ -586,12 +1475,15 @@ class NameValidationService {
     result.um_suffix = result.suffix;
     result.um_middle_name = result.middleName;
     
-    return result;
+    // Formal name and known variants for dedupe ("Bob" -> "Robert")
+    Object.assign(result, this.getNicknameFields(result.firstName));
+    
+    return this.applyTransliteration(result, options.transliteration, options);
   }
   
   // FIXED: Validate separate names with proper tracking
   async validateSeparateNames(firstName, lastName, options = {}) {
-    this.logger.debug('Validating separate names', { firstName, lastName });
+    this.logger.debug('Validating separate names', { firstName, lastName, locale: options.locale, country: options.country });
     
     // Handle null/empty
     if ((!firstName && !lastName) || (firstName === '' && lastName === '')) {
@@ -617,7 +1509,14 @@ class NameValidationService {
         um_name_format: 'Invalid',
         um_honorific: '',
         um_suffix: '',
-        um_middle_name: ''
+        um_middle_name: '',
+        um_formal_first_name: '',
+        um_first_name_variants: [],
+        um_name_latin: null,
+        transliteration_scheme: null,
+        name_type: 'person',
+        um_company_name: '',
+        name_order: 'given_first'
       };
     }
     
@@ -661,6 +1560,18 @@ class NameValidationService {
       result.script = lastNameScript;
     }
     
+    // First and last are already split - the culture only drives display order and particles
+    const culture = this.resolveNameCulture(result.script, options);
+    result.name_order = this.getNameOrder(culture);
+    result.name_type = 'person';
+    result.um_company_name = '';
+    
+    // "Acme Plumbing" / "LLC" split across the two fields is still one company
+    const nameType = this.classifyNameType(fullName);
+    if (nameType.name_type !== 'person' && !this.containsSecurityThreat(fullName)) {
+      return this.buildNonPersonResult(result, nameType, fullName);
+    }
+    
     // Process first name
     if (sanitizedFirst) {
       // Security check
@@ -673,12 +1584,9 @@ class NameValidationService {
       }
       
       // Check suspicious names
-      for (const fake of this.suspiciousNames) {
-        if (sanitizedFirst.toLowerCase().includes(fake)) {
-          result.potentialIssues.push('First name may be a test or placeholder');
-          result.confidenceLevel = 'low';
-          break;
-        }
+      if (this.findSuspiciousName(sanitizedFirst)) {
+        result.potentialIssues.push('First name may be a test or placeholder');
+        result.confidenceLevel = 'low';
       }
       
       // Parse first name for honorific and middle name
@@ -712,12 +1620,9 @@ class NameValidationService {
       }
       
       // Check suspicious names
-      for (const fake of this.suspiciousNames) {
-        if (sanitizedLast.toLowerCase().includes(fake)) {
-          result.potentialIssues.push('Last name may be a test or placeholder');
-          result.confidenceLevel = 'low';
-          break;
-        }
+      if (this.findSuspiciousName(sanitizedLast)) {
+        result.potentialIssues.push('Last name may be a test or placeholder');
+        result.confidenceLevel = 'low';
       }
       
       // Check for suffix in last name
@@ -748,6 +1653,13 @@ class NameValidationService {
       result.middleName = this.properCapitalize(result.middleName);
     }
     
+    // Surname particles follow the culture's rules
+    if (culture === 'hispanic') {
+      result.lastName = this.formatSurnameParticles(result.lastName);
+    } else if (culture === 'dutch') {
+      result.lastName = this.formatSurnameParticles(result.lastName, { capitalizeLeading: true });
+    }
+    
     // FIXED: Check if anything changed
     if (result.firstName !== processedFirst || 
         result.lastName !== processedLast || 
@@ -777,21 +1689,20 @@ class NameValidationService {
       result.confidenceLevel = 'medium';
     }
     
+    // Keyboard mashing and other non-names
+    this.applyGibberishScore(result);
+    
     // Generate unmessy fields including middle name
     result.um_first_name = result.honorific ? 
       `${result.honorific} ${result.firstName}`.trim() : result.firstName;
     result.um_last_name = result.suffix ?
       `${result.lastName} ${result.suffix}`.trim() : result.lastName;
     
-    // FIXED: Include middle name in um_name
-    const nameComponents = [result.um_first_name];
-    if (result.middleName) {
-      nameComponents.push(result.middleName);
-    }
-    if (result.um_last_name) {
-      nameComponents.push(result.um_last_name);
-    }
-    result.um_name = nameComponents.filter(Boolean).join(' ');
+    // Full name in the culture's display order (includes the middle name)
+    result.um_name = this.composeFullName(result, result.name_order, {
+      script: result.script,
+      culture
+    });
     
     result.um_name_status = result.wasCorrected ? 'Changed' : 'Unchanged';
     result.um_name_format = result.formatValid ? 'Valid' : 'Invalid';
@@ -799,27 +1710,246 @@ class NameValidationService {
     result.um_suffix = result.suffix;
     result.um_middle_name = result.middleName;
     
-    return result;
+    // Formal name and known variants for dedupe ("Bob" -> "Robert")
+    Object.assign(result, this.getNicknameFields(result.firstName));
+    
+    const transliteration = options.transliteration || await this.getTransliterationSettings(options.clientId);
+    return this.applyTransliteration(result, transliteration, options);
+  }
+  
+  // Parse one side of a match request - a full name string or { name | first_name, last_name }
+  parseNameForMatch(input, hints = {}) {
+    const value = typeof input === 'string' ? { name: input } : (input || {});
+    const clean = (text) => String(text || '').replace(/,/g, ' ').trim().replace(/\s+/g, ' ');
+    
+    // Separate fields go through the "Last, First Middle" parser so multi-word surnames stay whole
+    const text = value.name
+      ? String(value.name).trim().replace(/\s+/g, ' ')
+      : `${clean(value.last_name)}, ${clean(value.first_name)}`;
+    
+    const script = this.detectScript(text.replace(',', ''));
+    const culture = this.resolveNameCulture(script, hints);
+    const parsed = this.parseNameComponents(text, { culture });
+    
+    return {
+      firstName: parsed.firstName,
+      middleName: parsed.middleName,
+      lastName: parsed.lastName,
+      honorific: parsed.honorific,
+      suffix: parsed.suffix,
+      script,
+      culture
+    };
+  }
+  
+  // Comparable form of a component: romanized, ASCII, lower-case, no spaces or punctuation
+  getMatchKey(text, script, culture, part = 'given') {
+    if (!text) return '';
+    
+    let value = text;
+    if (/[^\u0000-\u007F]/.test(value) && TRANSLITERATION_SCHEMES[script] &&
+        !(script === 'han' && culture === 'japanese')) {
+      value = transliterate(value, script, DEFAULT_SCHEMES[script], { part }) || value;
+    }
+    
+    return toAscii(value).toLowerCase().replace(/[^a-z]/g, '');
+  }
+  
+  // Surname without its leading particles ("van der Berg" -> "berg")
+  getSurnameCore(lastName) {
+    const tokens = (lastName || '').split(/\s+/).filter(Boolean);
+    while (tokens.length > 1 && this.isNameParticle(tokens[0])) {
+      tokens.shift();
+    }
+    return tokens.join(' ');
+  }
+  
+  // Score two given names (first or middle) - exact, nickname, initial, transliteration or fuzzy
+  compareGivenNames(a, b, nameA, nameB) {
+    const keyA = this.getMatchKey(a, nameA.script, nameA.culture);
+    const keyB = this.getMatchKey(b, nameB.script, nameB.culture);
+    const romanized = nameA.script !== nameB.script;
+    
+    if (keyA === keyB) {
+      return { score: 1, reason: romanized ? 'transliteration' : 'exact' };
+    }
+    
+    // One side is an initial ("J." vs "John")
+    if (keyA.length === 1 || keyB.length === 1) {
+      return keyA[0] === keyB[0]
+        ? { score: 0.75, reason: 'initial' }
+        : { score: 0, reason: 'initial_mismatch' };
+    }
+    
+    // Same formal name ("Bob" vs "Robert", "Bobby" vs "Rob")
+    const variantsA = this.getNameVariants(a).variants.map(v => v.toLowerCase());
+    const variantsB = this.getNameVariants(b).variants.map(v => v.toLowerCase());
+    if (variantsA.includes(keyB) || variantsB.includes(keyA) ||
+        (variantsA.length > 0 && variantsA.some(v => variantsB.includes(v)))) {
+      return { score: 0.9, reason: 'nickname' };
+    }
+    
+    const score = similarity(keyA, keyB, { keyboardAware: false });
+    return { score, reason: score >= 0.7 ? 'fuzzy' : 'mismatch' };
+  }
+  
+  // Score two surnames - particles and spacing ("Vander Berg" vs "van der Berg") barely count
+  compareSurnames(a, b, nameA, nameB) {
+    const keyA = this.getMatchKey(a, nameA.script, nameA.culture, 'family');
+    const keyB = this.getMatchKey(b, nameB.script, nameB.culture, 'family');
+    const romanized = nameA.script !== nameB.script;
+    
+    if (keyA === keyB) {
+      const sameSpelling = toAscii(a).toLowerCase() === toAscii(b).toLowerCase();
+      if (sameSpelling || romanized) {
+        return { score: 1, reason: romanized ? 'transliteration' : 'exact' };
+      }
+      return { score: 0.95, reason: 'particle_variation' };
+    }
+    
+    const coreA = this.getMatchKey(this.getSurnameCore(a), nameA.script, nameA.culture, 'family');
+    const coreB = this.getMatchKey(this.getSurnameCore(b), nameB.script, nameB.culture, 'family');
+    if (coreA && coreA === coreB) {
+      return { score: 0.85, reason: 'particle_variation' };
+    }
+    
+    const score = similarity(keyA, keyB, { keyboardAware: false });
+    return { score, reason: score >= 0.7 ? 'fuzzy' : 'mismatch' };
+  }
+  
+  // Weighted score over the components either name has - a middle name only one side gives is
+  // skipped, a first or last name only one side gives counts as unknown
+  scoreNameComponents(nameA, nameB, swapped = false) {
+    const components = {};
+    let weighted = 0;
+    let totalWeight = 0;
+    
+    const pairs = {
+      firstName: [nameA.firstName, swapped ? nameB.lastName : nameB.firstName],
+      middleName: [nameA.middleName, nameB.middleName],
+      lastName: [nameA.lastName, swapped ? nameB.firstName : nameB.lastName]
+    };
+    
+    Object.entries(pairs).forEach(([component, [a, b]]) => {
+      if (!a && !b) {
+        components[component] = { a: '', b: '', score: null, reason: 'missing' };
+        return;
+      }
+      
+      if (!a || !b) {
+        const counted = component !== 'middleName';
+        components[component] = {
+          a: a || '',
+          b: b || '',
+          score: counted ? ONE_SIDED_COMPONENT_SCORE : null,
+          reason: 'missing_one_side'
+        };
+        if (counted) {
+          weighted += ONE_SIDED_COMPONENT_SCORE * MATCH_WEIGHTS[component];
+          totalWeight += MATCH_WEIGHTS[component];
+        }
+        return;
+      }
+      
+      const comparison = component === 'lastName'
+        ? this.compareSurnames(a, b, nameA, nameB)
+        : this.compareGivenNames(a, b, nameA, nameB);
+      
+      components[component] = { a, b, score: Math.round(comparison.score * 100) / 100, reason: comparison.reason };
+      weighted += comparison.score * MATCH_WEIGHTS[component];
+      totalWeight += MATCH_WEIGHTS[component];
+    });
+    
+    return {
+      score: totalWeight > 0 ? weighted / totalWeight : 0,
+      components
+    };
+  }
+  
+  // Similarity between two names with a per-component explanation
+  matchNames(inputA, inputB, hints = {}) {
+    const nameA = this.parseNameForMatch(inputA, hints);
+    const nameB = this.parseNameForMatch(inputB, hints);
+    const { matchThreshold, possibleMatchThreshold } = config.validation.name;
+    
+    let { score, components } = this.scoreNameComponents(nameA, nameB);
+    let swapped = false;
+    
+    // Given and family name entered the wrong way round - expected when comparing
+    // a family-first name with its romanized, given-first spelling
+    const swappedResult = this.scoreNameComponents(nameA, nameB, true);
+    const swapPenalty = this.getNameOrder(nameA.culture) !== this.getNameOrder(nameB.culture) ? 1 : 0.95;
+    if (swappedResult.score * swapPenalty > score) {
+      score = swappedResult.score * swapPenalty;
+      components = swappedResult.components;
+      swapped = true;
+    }
+    
+    // Honorifics never decide a match
+    components.honorific = {
+      a: nameA.honorific,
+      b: nameB.honorific,
+      score: null,
+      reason: 'ignored'
+    };
+    
+    // Different generational suffixes (Jr. vs Sr.) are different people
+    const suffixA = (nameA.suffix || '').toLowerCase().replace(/\./g, '');
+    const suffixB = (nameB.suffix || '').toLowerCase().replace(/\./g, '');
+    components.suffix = {
+      a: nameA.suffix,
+      b: nameB.suffix,
+      score: null,
+      reason: suffixA && suffixB ? (suffixA === suffixB ? 'exact' : 'conflict') : 'missing'
+    };
+    if (components.suffix.reason === 'conflict') {
+      score = Math.min(score, possibleMatchThreshold - 0.01);
+    }
+    
+    score = Math.round(Math.max(0, score) * 100) / 100;
+    
+    let matchLevel = 'no_match';
+    if (score >= matchThreshold) {
+      matchLevel = 'match';
+    } else if (score >= possibleMatchThreshold) {
+      matchLevel = 'possible_match';
+    }
+    
+    return {
+      score,
+      matchLevel,
+      isMatch: matchLevel === 'match',
+      swapped,
+      components,
+      nameA,
+      nameB
+    };
   }
   
   // Validate full name (wrapper for consistency)
   async validateFullName(name, options = {}) {
-    const { useCache = true, clientId = null } = options;
+    const { useCache = true, clientId = null, locale = null, country = null } = options;
+    
+    // Cached parses were made without a hint, so hinted requests always re-parse
+    const cacheable = useCache && !locale && !country;
+    
+    // Transliteration is per client, so it is applied after the cache rather than stored in it
+    const transliteration = await this.getTransliterationSettings(clientId);
     
     // Check cache first
-    if (useCache) {
+    if (cacheable) {
       const cached = await this.checkNameCache(name);
       if (cached) {
         this.logger.debug('Name found in cache', { name });
-        return { ...cached, isFromCache: true };
+        return this.applyTransliteration({ ...cached, isFromCache: true }, transliteration);
       }
     }
     
     // Perform validation
-    const result = this.validateName(name);
+    const result = this.validateName(name, { locale, country, transliteration });
     
     // Save to cache if valid
-    if (useCache && result.status === 'valid') {
+    if (cacheable && result.status === 'valid') {
       await this.saveNameCache(name, result, clientId);
     }
     
@@ -839,24 +1969,19 @@ class NameValidationService {
       
       if (data) {
         // FIXED: Include middle name in cached um_name
-        const nameComponents = [];
-        if (data.honorific) {
-          nameComponents.push(`${data.honorific} ${data.first_name}`.trim());
-        } else {
-          nameComponents.push(data.first_name);
-        }
-        
-        if (data.middle_name) {
-          nameComponents.push(data.middle_name);
-        }
-        
-        if (data.suffix) {
-          nameComponents.push(`${data.last_name} ${data.suffix}`.trim());
-        } else {
-          nameComponents.push(data.last_name);
-        }
-        
-        const umName = nameComponents.filter(Boolean).join(' ');
+        const nameOrder = data.name_order || 'given_first';
+        const script = data.script || 'latin';
+        const umName = this.composeFullName({
+          honorific: data.honorific || '',
+          firstName: data.first_name || '',
+          middleName: data.middle_name || '',
+          lastName: data.last_name || '',
+          suffix: data.suffix || ''
+        }, nameOrder, {
+          script,
+          culture: this.resolveNameCulture(script),
+          unspaced: !String(data.original_name).includes(' ')
+        });
         
         return {
           originalName: data.original_name,
@@ -884,6 +2009,8 @@ class NameValidationService {
           um_honorific: data.honorific || '',
           um_suffix: data.suffix || '',
           um_middle_name: data.middle_name || '',
+          ...this.getNicknameFields(data.first_name || ''),
+          name_order: nameOrder,
           cacheDate: data.date_validated,
           cacheDateEpochMs: data.date_validated_epoch_ms
         };
@@ -913,6 +2040,7 @@ class NameValidationService {
         format_valid: validationResult.formatValid,
         confidence_level: validationResult.confidenceLevel,
         script: validationResult.script,
+        name_order: validationResult.name_order,
         potential_issues: validationResult.potentialIssues.length > 0 ? 
           JSON.stringify(validationResult.potentialIssues) : null,
         date_validated: now,
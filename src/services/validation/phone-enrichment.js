@@ -0,0 +1,80 @@
+// src/services/validation/phone-enrichment.js
+import { geocoder, carrier, timezones } from 'libphonenumber-geo-carrier';
+
+/**
+ * Current local time in a timezone
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} [now] - Reference instant
+ * @returns {Object|null} { timezone, localTime (ISO 8601 with offset), utcOffset }, or null for an unknown zone
+ */
+export function getLocalTime(timezone, now = new Date()) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'longOffset'
+    }).formatToParts(now);
+  } catch (e) {
+    return null;
+  }
+
+  const part = (type) => parts.find(p => p.type === type)?.value;
+
+  // "GMT-04:00" -> "-04:00"; plain "GMT" is UTC
+  const offset = part('timeZoneName').replace('GMT', '') || '+00:00';
+
+  return {
+    timezone,
+    localTime: `${part('year')}-${part('month')}-${part('day')}T${part('hour')}:${part('minute')}:${part('second')}${offset}`,
+    utcOffset: offset
+  };
+}
+
+/**
+ * Offline carrier, region and timezone details from libphonenumber's prefix data
+ * @param {Object} phoneNumber - Parsed libphonenumber-js PhoneNumber
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - Language for the carrier and region names
+ * @param {Date} [options.now] - Reference instant for local times
+ * @returns {Promise<Object>} { carrier, region, timezones, timezone, localTime, localTimes }
+ */
+export async function enrichPhoneNumber(phoneNumber, options = {}) {
+  const { locale = 'en', now = new Date() } = options;
+
+  // Carrier is the one the range was assigned to - ported numbers keep their original carrier
+  const [originalCarrier, region, zones] = await Promise.all([
+    carrier(phoneNumber, locale),
+    geocoder(phoneNumber, locale),
+    timezones(phoneNumber)
+  ]);
+
+  const localTimes = (zones || [])
+    .map(zone => getLocalTime(zone, now))
+    .filter(Boolean);
+
+  // A single local time only makes sense when every candidate zone agrees on the offset
+  // (UK mobiles map to London, Guernsey and Isle of Man; US toll-free numbers span the continent)
+  const offsets = new Set(localTimes.map(entry => entry.utcOffset));
+  const unambiguous = offsets.size === 1;
+
+  return {
+    carrier: originalCarrier || null,
+    region: region || null,
+    timezones: localTimes.map(entry => entry.timezone),
+    timezone: unambiguous ? localTimes[0].timezone : null,
+    localTime: unambiguous ? localTimes[0].localTime : null,
+    localTimes
+  };
+}
+
+export default {
+  getLocalTime,
+  enrichPhoneNumber
+};
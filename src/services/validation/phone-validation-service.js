@@ -6,16 +6,54 @@ import { ValidationError } from '../../core/errors.js';
 import { 
   parsePhoneNumber, 
   parsePhoneNumberFromString,
+  findPhoneNumbersInText,
   getCountryCallingCode, 
   getCountries, 
   ParseError 
 } from 'libphonenumber-js';
 import countryMappings from './data/country-mappings.json' assert { type: 'json' };
 import fictionalNumbers from './data/fictional-numbers.json' assert { type: 'json' };
+import googlePhoneLib from 'google-libphonenumber';
 import numverifyService from '../external/numverify.js';
+import clientService from '../client-service.js';
+import { enrichPhoneNumber } from './phone-enrichment.js';
 
 const logger = createServiceLogger('phone-validation-service');
 
+const phoneUtil = googlePhoneLib.PhoneNumberUtil.getInstance();
+const shortNumberInfo = googlePhoneLib.ShortNumberInfo.getInstance();
+
+// Number types a client policy can act on (libphonenumber types plus our SHORT_CODE) -> um_phone_type
+const PHONE_NUMBER_TYPES = {
+  MOBILE: 'Mobile',
+  FIXED_LINE: 'Fixed Line',
+  FIXED_LINE_OR_MOBILE: 'Fixed Line or Mobile',
+  TOLL_FREE: 'Toll Free',
+  PREMIUM_RATE: 'Premium Rate',
+  SHARED_COST: 'Shared Cost',
+  VOIP: 'VoIP',
+  PERSONAL_NUMBER: 'Personal Number',
+  PAGER: 'Pager',
+  UAN: 'UAN',
+  VOICEMAIL: 'Voicemail',
+  SHORT_CODE: 'Short Code',
+  UNKNOWN: 'Unknown'
+};
+
+const TYPE_POLICY_DECISIONS = ['accept', 'warn', 'reject'];
+
+// um_phone output profiles; dial_from is the number as dialled from `dialFrom` (e.g. "0011 61 ..." from AU)
+const PHONE_OUTPUT_FORMATS = ['international', 'e164', 'national', 'rfc3966', 'dial_from'];
+
+// Trailing extension: "x204", "ext. 15", "extension 7", "#12", RFC 3966 ";ext=9"
+// Word markers must follow a digit, space or bracket so vanity numbers like 1-800-MAX-1234 survive
+const EXTENSION_PATTERN = /(?:;\s*ext\s*=\s*|(?<=[\d\s).,])[\s,]*(?:extension|extn|ext|ex|x|#)\.?\s*[:\-#]?\s*)(\d+)\s*$/i;
+
+// Words typed after a complete number ("(415) 555-2671 Box 12") - the first word starting after a
+// space once seven digits are in; fewer digits is a spaced-out vanity number ("1 800 FLOWERS")
+const TRAILING_TEXT_PATTERN = /^(.*?\d.*?)\s+(\p{L}.*)$/u;
+const TRAILING_TEXT_MIN_DIGITS = 7;
+
 class PhoneValidationService {
   constructor() {
     this.logger = logger;
@@ -427,13 +465,38 @@ class PhoneValidationService {
   
   // Main validation method
   async validatePhoneNumber(phone, options = {}) {
+    const settings = await this.getClientPhoneSettings(options.clientId);
+    
+    // A format asked for on the request beats the client's profile
+    const outputFormat = {
+      format: options.outputFormat?.format || settings.outputFormat.format,
+      dialFrom: options.outputFormat?.dialFrom || settings.outputFormat.dialFrom
+    };
+    
+    // Validate the number without its extension, then put the extension back on every format
+    const { number: bareNumber, extension, trailingText } = this.splitExtension(phone);
+    
+    let result = await this.validateNumber(extension || trailingText ? bareNumber : phone, { ...options, outputFormat });
+    if (trailingText) {
+      result = this.applyTrailingText(result, trailingText, phone);
+    }
+    if (extension) {
+      result = this.applyExtension(result, extension, phone);
+    }
+    
+    return this.applyTypePolicy(result, settings.typePolicy);
+  }
+  
+  // Validate a number with no extension; client type policy is applied by the caller
+  async validateNumber(phone, options = {}) {
     const {
       country = null,
       countryHint = null,
       useExternalApi = true,
       confidenceThreshold = 60,
       clientId = null,
-      useCache = true
+      useCache = true,
+      outputFormat = null
     } = options;
     
     // Resolve country input to ISO code
@@ -460,16 +523,35 @@ class PhoneValidationService {
         error: 'Phone number is required',
         formatValid: false,
         confidence: { score: 0, level: 'none', factors: ['no_input'] }
-      }, clientId);
+      }, clientId, outputFormat);
     }
     
     // Clean phone number
     const cleanedPhone = this.cleanPhoneNumber(phone);
     const originalHasPlus = cleanedPhone.startsWith('+');
     
+    // Short codes never parse as full numbers - without this they get matched to some other country
+    // Checked on the digits as typed: cleaning turns AU "000" into "+0" and any three letters into
+    // keypad digits
+    const shortCodeRegion = providedCountry || this.resolveCountryCode(config.validation.phone.defaultCountry);
+    const typedDigits = String(phone).trim().replace(/[\s\-().]/g, '');
+    if (this.isShortCode(typedDigits, shortCodeRegion)) {
+      return this.buildValidationResult(phone, {
+        valid: true,
+        formatValid: true,
+        national: typedDigits,
+        country: shortCodeRegion,
+        type: 'SHORT_CODE',
+        isMobile: false,
+        confidence: { score: 70, level: 'medium', factors: ['short_code'] },
+        validationMethod: 'short_code',
+        countryName: this.getCountryName(shortCodeRegion)
+      }, clientId, outputFormat);
+    }
+    
     // Check cache first if enabled
     if (useCache && cleanedPhone.startsWith('+')) {
-      const cached = await this.checkPhoneCache(cleanedPhone);
+      const cached = await this.checkPhoneCache(cleanedPhone, outputFormat);
       if (cached) {
         this.logger.debug('Phone found in cache', { phone: cleanedPhone });
         return cached;
@@ -561,6 +643,9 @@ class PhoneValidationService {
         }
       }
       
+      // Offline carrier/region/timezone for whichever number we ended up with
+      const offlineDetails = await this.getOfflineDetails(phoneNumber);
+      
       // Step 3: Check if we need external validation with Numverify
       // CRITICAL FIX: Always use Numverify for FIXED_LINE_OR_MOBILE types
       const phoneType = phoneNumber?.getType();
@@ -601,7 +686,8 @@ class PhoneValidationService {
             type: externalResult.lineType?.toUpperCase() || 'UNKNOWN',
             isMobile: externalResult.isMobile,
             isFixedLine: externalResult.isFixedLine,
-            carrier: externalResult.carrier,
+            ...offlineDetails,
+            carrier: externalResult.carrier || offlineDetails.carrier,
             location: externalResult.location,
             confidence: {
               score: 95,
@@ -610,7 +696,7 @@ class PhoneValidationService {
             },
             validationMethod: 'external_api',
             externalApiUsed: true
-          }, clientId);
+          }, clientId, outputFormat);
         } else if (phoneType === 'FIXED_LINE_OR_MOBILE') {
           // Numverify couldn't determine the type or errored out
           // Log this scenario for monitoring
@@ -650,8 +736,9 @@ class PhoneValidationService {
             validationMethod: 'prediction_fallback',
             hintCountryUsed: providedCountry === validPrediction.country,
             externalApiUsed: false,
-            countryName: validPrediction.countryName
-          }, clientId);
+            countryName: validPrediction.countryName,
+            ...await this.getOfflineDetails(parsePhoneNumberFromString(validPrediction.format.e164))
+          }, clientId, outputFormat);
         }
         
         // Really failed validation
@@ -667,7 +754,7 @@ class PhoneValidationService {
             level: 'none',
             factors: ['validation_failed']
           }
-        }, clientId);
+        }, clientId, outputFormat);
       }
       
       // Successful validation
@@ -691,7 +778,8 @@ class PhoneValidationService {
         hintCountryUsed: providedCountry === successfulCountry,
         externalApiUsed: false,
         isFictional: false,
-        numverifyAttempted: needsExternalValidation // Track if we tried Numverify
+        numverifyAttempted: needsExternalValidation, // Track if we tried Numverify
+        ...offlineDetails
       };
       
       // Check if fictional number
@@ -706,7 +794,7 @@ class PhoneValidationService {
       // Get country name
       phoneDetails.countryName = this.getCountryName(phoneDetails.country);
       
-      const result = this.buildValidationResult(phone, phoneDetails, clientId);
+      const result = this.buildValidationResult(phone, phoneDetails, clientId, outputFormat);
       
       // Save to cache if valid and not fictional
       if (useCache && result.valid && !phoneDetails.isFictional) {
@@ -727,10 +815,91 @@ class PhoneValidationService {
           level: 'none',
           factors: ['system_error']
         }
-      }, clientId);
+      }, clientId, outputFormat);
     }
   }
   
+  // Carrier, region and timezones from the bundled prefix data
+  // Always returns the full shape so it can be spread into validation data
+  async getOfflineDetails(phoneNumber) {
+    const empty = {
+      carrier: null,
+      region: null,
+      timezones: [],
+      timezone: null,
+      localTime: null,
+      localTimes: []
+    };
+    
+    if (!config.validation.phone.offlineEnrichment.enabled || !phoneNumber || !phoneNumber.isValid()) {
+      return empty;
+    }
+    
+    try {
+      return await enrichPhoneNumber(phoneNumber, {
+        locale: config.validation.phone.offlineEnrichment.locale
+      });
+    } catch (error) {
+      this.logger.warn('Offline phone enrichment failed', {
+        phone: phoneNumber.number.substring(0, 6) + '***',
+        error: error.message
+      });
+      return empty;
+    }
+  }
+  
+  // Locate phone numbers in free text, libphonenumber findNumbers style
+  // Possible-but-invalid numbers are kept so validation can report them
+  findPhoneNumbers(text, country = null) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+    
+    const defaultCountry = this.resolveCountryCode(country) ||
+      this.resolveCountryCode(config.validation.phone.defaultCountry);
+    
+    return findPhoneNumbersInText(text, { defaultCountry, leniency: 'POSSIBLE' }).map(match => ({
+      text: text.slice(match.startsAt, match.endsAt),
+      e164: match.number.number,
+      extension: match.number.ext || null,
+      country: match.number.country || null,
+      startsAt: match.startsAt,
+      endsAt: match.endsAt
+    }));
+  }
+  
+  // Find and validate every phone number in a block of text
+  async extractPhoneNumbers(text, options = {}) {
+    const {
+      country = null,
+      clientId = null,
+      useCache = true,
+      outputFormat = null,
+      maxNumbers = config.validation.phone.textExtraction.maxNumbers
+    } = options;
+    
+    const matches = this.findPhoneNumbers(text, country).slice(0, maxNumbers);
+    
+    return Promise.all(matches.map(async (match) => {
+      // Validate the E.164 form (with its extension) rather than the surrounding text
+      const number = match.extension ? `${match.e164};ext=${match.extension}` : match.e164;
+      const result = await this.validatePhoneNumber(number, {
+        country: match.country || country,
+        clientId,
+        useCache,
+        outputFormat
+      });
+      
+      // Re-render against the matched text so um_phone_status compares with what was written
+      return this.applyOutputFormat({
+        ...result,
+        originalPhone: match.text,
+        startsAt: match.startsAt,
+        endsAt: match.endsAt
+      }, { format: result.outputFormat, dialFrom: result.dialFromCountry });
+    }));
+  }
+  
   // Calculate overall validation confidence
   calculateValidationConfidence(phoneNumber, context = {}) {
     const {
@@ -797,6 +966,196 @@ class PhoneValidationService {
     return { score, level, factors };
   }
   
+  // Whether digits are a short code (SMS short code, service or emergency number) in a region
+  isShortCode(cleanedPhone, region) {
+    if (!region || !/^\d{3,6}$/.test(cleanedPhone)) {
+      return false;
+    }
+    
+    try {
+      return shortNumberInfo.isValidShortNumberForRegion(phoneUtil.parse(cleanedPhone, region), region);
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  // Client's type policy (over the configured defaults) and output format profile
+  // Read from the client service's cache, so a batch doesn't query the client once per number
+  async getClientPhoneSettings(clientId = null) {
+    const settings = {
+      typePolicy: { ...config.validation.phone.typePolicy },
+      outputFormat: {
+        format: config.validation.phone.outputFormat,
+        dialFrom: config.validation.phone.dialFromCountry
+      }
+    };
+    
+    if (!clientId) {
+      return settings;
+    }
+    
+    try {
+      const client = await clientService.getClient(clientId);
+      if (client) {
+        Object.assign(settings.typePolicy, client.phone_type_policy || {});
+        settings.outputFormat.format = client.phone_output_format || settings.outputFormat.format;
+        settings.outputFormat.dialFrom = client.phone_dial_from_country || settings.outputFormat.dialFrom;
+      }
+    } catch (error) {
+      this.logger.error('Failed to get client phone settings', error, { clientId });
+    }
+    
+    return settings;
+  }
+  
+  // Apply a type policy to a result
+  applyTypePolicy(result, policy = {}) {
+    const decision = TYPE_POLICY_DECISIONS.includes(policy[result.type]) ? policy[result.type] : 'accept';
+    return this.applyTypeDecision(result, decision);
+  }
+  
+  // Reflect an accept/warn/reject decision in valid, warning and um_phone_type
+  applyTypeDecision(result, decision = 'accept') {
+    const label = PHONE_NUMBER_TYPES[result.type] || PHONE_NUMBER_TYPES.UNKNOWN;
+    
+    result.um_phone_type = label;
+    result.typePolicyDecision = decision;
+    
+    // Only a number that is otherwise valid can be rejected or warned about for its type
+    // (safe to re-apply: the validation service does so after merging a cached row)
+    if (!result.valid || decision === 'accept') {
+      return result;
+    }
+    
+    if (decision === 'reject') {
+      result.valid = false;
+      result.error = `${label} numbers are rejected by the phone type policy`;
+      result.confidenceFactors = [...(result.confidenceFactors || []), 'type_rejected'];
+    } else {
+      const warning = `${label} number flagged by the phone type policy`;
+      if (!result.warning) {
+        result.warning = warning;
+      } else if (!result.warning.includes(warning)) {
+        result.warning = `${result.warning}; ${warning}`;
+      }
+    }
+    
+    return result;
+  }
+  
+  // Separate a trailing extension, and any words after the number, from the number
+  splitExtension(phone) {
+    if (!phone || typeof phone !== 'string') {
+      return { number: phone, extension: null, trailingText: null };
+    }
+    
+    // RFC 3966 URIs: "tel:+1-415-555-2671;ext=9"
+    let number = phone.trim().replace(/^tel:/i, '');
+    let extension = null;
+    
+    const match = number.match(EXTENSION_PATTERN);
+    if (match) {
+      number = number.slice(0, match.index).trim();
+      extension = match[1];
+    }
+    
+    // Left in, the words would be read as keypad letters and run into the number
+    const trailing = number.match(TRAILING_TEXT_PATTERN);
+    if (trailing && trailing[1].replace(/\D/g, '').length >= TRAILING_TEXT_MIN_DIGITS) {
+      return { number: trailing[1].trim(), extension, trailingText: trailing[2].trim() };
+    }
+    
+    return { number, extension, trailingText: null };
+  }
+  
+  // Note words that were dropped from after the number, keeping the input as typed
+  applyTrailingText(result, trailingText, originalPhone) {
+    const warning = `Ignored text after the number: "${trailingText}"`;
+    
+    result.originalPhone = originalPhone;
+    result.warning = result.warning ? `${result.warning}; ${warning}` : warning;
+    
+    return this.applyOutputFormat(result, { format: result.outputFormat, dialFrom: result.dialFromCountry });
+  }
+  
+  // Carry an extension into a result validated without it
+  applyExtension(result, extension, originalPhone) {
+    const maxLength = config.validation.phone.extensionMaxLength;
+    
+    result.originalPhone = originalPhone;
+    result.extension = extension;
+    result.extensionValid = extension.length <= maxLength;
+    
+    if (!result.extensionValid) {
+      const warning = `Extension is longer than ${maxLength} digits and was not applied`;
+      result.warning = result.warning ? `${result.warning}; ${warning}` : warning;
+      result.um_phone_extension = '';
+      return this.applyOutputFormat(result, { format: result.outputFormat, dialFrom: result.dialFromCountry });
+    }
+    
+    result.um_phone_extension = extension;
+    
+    const phoneNumber = result.valid && result.e164 ? parsePhoneNumberFromString(result.e164) : null;
+    if (phoneNumber) {
+      // e164 stays the bare number (it is the cache key); the display formats carry the extension
+      phoneNumber.setExt(extension);
+      result.e164WithExtension = `${result.e164};ext=${extension}`;
+      result.internationalFormat = phoneNumber.format('INTERNATIONAL');
+      result.nationalFormat = phoneNumber.format('NATIONAL');
+      result.uri = phoneNumber.format('RFC3966');
+      result.formatted = result.internationalFormat;
+    }
+    
+    return this.applyOutputFormat(result, { format: result.outputFormat, dialFrom: result.dialFromCountry });
+  }
+  
+  // Render every format side by side and pick um_phone from the output profile
+  applyOutputFormat(result, profile = null) {
+    const format = PHONE_OUTPUT_FORMATS.includes(profile?.format)
+      ? profile.format
+      : config.validation.phone.outputFormat;
+    const dialFrom = this.resolveCountryCode(profile?.dialFrom) || null;
+    
+    result.outputFormat = format;
+    result.dialFromCountry = dialFrom;
+    
+    // Invalid numbers and short codes have nothing to reformat
+    const phoneNumber = result.valid && result.e164 ? parsePhoneNumberFromString(result.e164) : null;
+    if (!phoneNumber) {
+      result.formats = null;
+      return result;
+    }
+    
+    const extension = result.extensionValid ? result.extension : null;
+    if (extension) {
+      phoneNumber.setExt(extension);
+    }
+    
+    result.formats = {
+      e164: result.e164,
+      e164WithExtension: extension ? `${result.e164};ext=${extension}` : result.e164,
+      international: phoneNumber.format('INTERNATIONAL'),
+      national: phoneNumber.format('NATIONAL'),
+      rfc3966: phoneNumber.format('RFC3966'),
+      dialFrom: dialFrom ? (phoneNumber.format('IDD', { fromCountry: dialFrom }) || null) : null
+    };
+    
+    // Strict E.164 has no room for an extension - it stays in um_phone_extension
+    const chosen = {
+      international: result.formats.international,
+      e164: result.formats.e164,
+      national: result.formats.national,
+      rfc3966: result.formats.rfc3966,
+      dial_from: result.formats.dialFrom || result.formats.international
+    }[format];
+    
+    result.um_phone = chosen;
+    result.wasCorrected = result.originalPhone !== chosen;
+    result.um_phone_status = result.wasCorrected ? 'Changed' : 'Unchanged';
+    
+    return result;
+  }
+  
   // Clean phone number
   cleanPhoneNumber(phone) {
     // Convert to string and trim
@@ -805,9 +1164,6 @@ class PhoneValidationService {
     // Remove common formatting characters but keep + for international
     cleaned = cleaned.replace(/[\s\-\(\)\.]/g, '');
     
-    // Remove extension markers and everything after
-    cleaned = cleaned.replace(/(?:ext|extension|x|ext\.|extn|extn\.|#)[\s\.\-:#]?[\d]+$/i, '');
-    
     // Handle various international prefixes by converting to +
     if (cleaned.startsWith('00')) {
       cleaned = '+' + cleaned.substring(2);
@@ -1060,7 +1416,7 @@ class PhoneValidationService {
   }
   
   // Build validation result - FIXED TO USE CORRECT PROPERTIES AND FULL COUNTRY NAME
-  buildValidationResult(originalPhone, validationData, clientId) {
+  buildValidationResult(originalPhone, validationData, clientId, outputFormat = null) {
     const isValid = validationData.valid === true;
     const formatValid = validationData.formatValid !== false;
     
@@ -1121,13 +1477,21 @@ class PhoneValidationService {
       lineType: phoneType || 'UNKNOWN',
       
       // Location info with FULL COUNTRY NAME
-      location: validationData.location || countryName || 'Unknown',
+      location: validationData.location || validationData.region || countryName || 'Unknown',
       carrier: validationData.carrier || '',
       areaCode: validationData.areaCode || null,
       area: validationData.area || null,
+      region: validationData.region || null,
+      
+      // Timezones the number's prefix covers, with the current local time there
+      timezones: validationData.timezones || [],
+      timezone: validationData.timezone || null,
+      localTime: validationData.localTime || null,
+      localTimes: validationData.localTimes || [],
       
       // Phone formats
       e164: validationData.e164 || null,
+      e164WithExtension: validationData.e164 || null,
       formatted: validationData.international || validationData.e164 || originalPhone,
       internationalFormat: validationData.international || null,
       nationalFormat: validationData.national || null,
@@ -1162,6 +1526,13 @@ class PhoneValidationService {
       um_phone_country_code: countryCode || '',
       um_phone_country: countryName, // FULL COUNTRY NAME, NOT CODE
       um_phone_is_mobile: isMobile,
+      um_phone_extension: '',
+      um_phone_type: PHONE_NUMBER_TYPES[phoneType] || PHONE_NUMBER_TYPES.UNKNOWN,
+      typePolicyDecision: 'accept',
+      
+      // Extension (set by applyExtension when the input had one)
+      extension: null,
+      extensionValid: null,
       
       // For debugging/monitoring
       detectedCountry: validationData.country,
@@ -1190,11 +1561,11 @@ class PhoneValidationService {
       result.attemptedCountryInput = validationData.attemptedCountryInput;
     }
     
-    return result;
+    return this.applyOutputFormat(result, outputFormat);
   }
   
   // Cache operations
-  async checkPhoneCache(e164Phone) {
+  async checkPhoneCache(e164Phone, outputFormat = null) {
     try {
       const { rows } = await db.select(
         'phone_validations',
@@ -1208,7 +1579,10 @@ class PhoneValidationService {
         // Return cached result with FULL COUNTRY NAME
         const countryName = this.getCountryName(data.country);
         
-        return {
+        // Local times go stale, so the offline details are looked up again rather than cached
+        const offlineDetails = await this.getOfflineDetails(parsePhoneNumberFromString(data.e164));
+        
+        return this.applyOutputFormat({
           originalPhone: data.original_phone,
           currentPhone: data.e164,
           valid: data.valid,
@@ -1216,9 +1590,15 @@ class PhoneValidationService {
           formatValid: true,
           type: data.phone_type,
           lineType: data.phone_type,
-          location: countryName,
-          carrier: data.carrier || '',
+          location: offlineDetails.region || countryName,
+          carrier: data.carrier || offlineDetails.carrier || '',
+          region: offlineDetails.region,
+          timezones: offlineDetails.timezones,
+          timezone: offlineDetails.timezone,
+          localTime: offlineDetails.localTime,
+          localTimes: offlineDetails.localTimes,
           e164: data.e164,
+          e164WithExtension: data.e164,
           formatted: data.international_format,
           internationalFormat: data.international_format,
           nationalFormat: data.national_format,
@@ -1240,8 +1620,13 @@ class PhoneValidationService {
           um_phone_country_code: data.country,
           um_phone_country: countryName, // FULL COUNTRY NAME
           um_phone_is_mobile: data.is_mobile,
+          um_phone_extension: '',
+          um_phone_type: PHONE_NUMBER_TYPES[data.phone_type] || PHONE_NUMBER_TYPES.UNKNOWN,
+          typePolicyDecision: 'accept',
+          extension: null,
+          extensionValid: null,
           isFromCache: true
-        };
+        }, outputFormat);
       }
       
       return null;
@@ -1316,5 +1701,11 @@ class PhoneValidationService {
 const phoneValidationService = new PhoneValidationService();
 
 // Export the class and instance 
-export { phoneValidationService, PhoneValidationService };
+export {
+  phoneValidationService,
+  PhoneValidationService,
+  PHONE_NUMBER_TYPES,
+  TYPE_POLICY_DECISIONS,
+  PHONE_OUTPUT_FORMATS
+};
 export default phoneValidationService;
\ No newline at end of file
@@ -0,0 +1,164 @@
+// src/services/validation/string-similarity.js
+
+// QWERTY rows used to work out which keys sit next to each other
+const KEYBOARD_ROWS = [
+  '1234567890-',
+  'qwertyuiop',
+  'asdfghjkl',
+  'zxcvbnm'
+];
+
+// Build key -> neighbouring keys map once at module load
+const KEYBOARD_NEIGHBOURS = (() => {
+  const neighbours = new Map();
+
+  const addPair = (a, b) => {
+    if (!a || !b) return;
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    if (!neighbours.has(b)) neighbours.set(b, new Set());
+    neighbours.get(a).add(b);
+    neighbours.get(b).add(a);
+  };
+
+  KEYBOARD_ROWS.forEach((row, rowIndex) => {
+    for (let i = 0; i < row.length; i++) {
+      // Same row
+      addPair(row[i], row[i + 1]);
+
+      // Row below is shifted half a key to the right
+      const below = KEYBOARD_ROWS[rowIndex + 1];
+      if (below) {
+        addPair(row[i], below[i - 1]);
+        addPair(row[i], below[i]);
+      }
+    }
+  });
+
+  return neighbours;
+})();
+
+/**
+ * Check whether two characters are neighbouring keys on a QWERTY keyboard
+ * @param {string} a - First character
+ * @param {string} b - Second character
+ * @returns {boolean}
+ */
+export function isKeyboardAdjacent(a, b) {
+  const neighbours = KEYBOARD_NEIGHBOURS.get(a);
+  return neighbours ? neighbours.has(b) : false;
+}
+
+/**
+ * Longest run of consecutive keys along one keyboard row or the alphabet, in one
+ * direction ("asdf", "poiu", "abcd")
+ * @param {string} text - Lower-case text
+ * @returns {number} Length of the longest run
+ */
+export function longestSequentialRun(text) {
+  const sequences = [...KEYBOARD_ROWS, 'abcdefghijklmnopqrstuvwxyz'];
+  const value = text || '';
+
+  let longest = value.length > 0 ? 1 : 0;
+  let run = 1;
+  let directions = [];
+
+  for (let i = 1; i < value.length; i++) {
+    // Every sequence/direction this pair of characters steps along
+    const steps = sequences.map((sequence, index) => {
+      const from = sequence.indexOf(value[i - 1]);
+      const to = sequence.indexOf(value[i]);
+      return from >= 0 && to >= 0 && Math.abs(to - from) === 1 ? `${index}:${to - from}` : null;
+    }).filter(Boolean);
+
+    const continued = steps.filter(step => directions.includes(step));
+    if (continued.length > 0) {
+      run++;
+      directions = continued;
+    } else {
+      run = steps.length > 0 ? 2 : 1;
+      directions = steps;
+    }
+
+    longest = Math.max(longest, run);
+  }
+
+  return longest;
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment variant)
+ * Substituting a neighbouring key costs less than any other substitution
+ * @param {string} source - Typed string
+ * @param {string} target - Candidate string
+ * @param {Object} options - Cost options
+ * @returns {number} Weighted edit distance
+ */
+export function damerauLevenshtein(source, target, options = {}) {
+  const {
+    insertionCost = 1,
+    deletionCost = 1,
+    substitutionCost = 1,
+    adjacentSubstitutionCost = 0.5,
+    transpositionCost = 1,
+    keyboardAware = true
+  } = options;
+
+  const a = source || '';
+  const b = target || '';
+
+  if (a === b) return 0;
+  if (a.length === 0) return b.length * insertionCost;
+  if (b.length === 0) return a.length * deletionCost;
+
+  // Full matrix - domains and names are short
+  const d = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = 0; i <= a.length; i++) d[i][0] = i * deletionCost;
+  for (let j = 0; j <= b.length; j++) d[0][j] = j * insertionCost;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      let cost = 0;
+      if (a[i - 1] !== b[j - 1]) {
+        cost = keyboardAware && isKeyboardAdjacent(a[i - 1], b[j - 1])
+          ? adjacentSubstitutionCost
+          : substitutionCost;
+      }
+
+      d[i][j] = Math.min(
+        d[i - 1][j] + deletionCost,
+        d[i][j - 1] + insertionCost,
+        d[i - 1][j - 1] + cost
+      );
+
+      // Swapped neighbouring characters ("gamil" -> "gmail")
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + transpositionCost);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Similarity between two strings as a 0-1 confidence score
+ * @param {string} source - Typed string
+ * @param {string} target - Candidate string
+ * @param {Object} options - Passed through to damerauLevenshtein
+ * @returns {number} 1 for identical strings, 0 for nothing in common
+ */
+export function similarity(source, target, options = {}) {
+  const maxLength = Math.max((source || '').length, (target || '').length);
+  if (maxLength === 0) return 1;
+
+  const distance = damerauLevenshtein(source, target, options);
+  return Math.max(0, 1 - distance / maxLength);
+}
+
+export default {
+  isKeyboardAdjacent,
+  longestSequentialRun,
+  damerauLevenshtein,
+  similarity
+};
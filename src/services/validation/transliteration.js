@@ -0,0 +1,425 @@
+// src/services/validation/transliteration.js
+import { pinyin } from 'pinyin-pro';
+
+// Romanization schemes we can apply per script - the first one is the default
+export const TRANSLITERATION_SCHEMES = {
+  cyrillic: ['bgn', 'iso9'],
+  greek: ['elot743'],
+  han: ['pinyin'],
+  hiragana: ['hepburn'],
+  katakana: ['hepburn'],
+  hangul: ['revised', 'customary'],
+  devanagari: ['hunterian', 'iast']
+};
+
+export const DEFAULT_SCHEMES = Object.fromEntries(
+  Object.entries(TRANSLITERATION_SCHEMES).map(([script, schemes]) => [script, schemes[0]])
+);
+
+// ISO 9:1995 - one Latin letter per Cyrillic letter, reversible
+const CYRILLIC_ISO9 = {
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g̀', д: 'd', ѓ: 'ǵ', ђ: 'đ', е: 'e', ё: 'ë', є: 'ê',
+  ж: 'ž', з: 'z', ѕ: 'ẑ', и: 'i', і: 'ì', ї: 'ï', й: 'j', ј: 'ǰ', к: 'k', л: 'l', љ: 'l̂',
+  м: 'm', н: 'n', њ: 'n̂', о: 'o', п: 'p', р: 'r', с: 's', т: 't', ћ: 'ć', ќ: 'ḱ', у: 'u',
+  ў: 'ŭ', ф: 'f', х: 'h', ц: 'c', џ: 'd̂', ч: 'č', ш: 'š', щ: 'ŝ', ъ: 'ʺ', ы: 'y', ь: 'ʹ',
+  э: 'è', ю: 'û', я: 'â'
+};
+
+// BGN/PCGN (Russian, with the usual Ukrainian/Belarusian/South Slavic letters) - the
+// familiar passport-style spelling. Hard and soft signs are left out, as names usually are
+const CYRILLIC_BGN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', ѓ: 'gj', ђ: 'đ', е: 'e', ё: 'ë', є: 'ye',
+  ж: 'zh', з: 'z', ѕ: 'dz', и: 'i', і: 'i', ї: 'yi', й: 'y', ј: 'j', к: 'k', л: 'l', љ: 'lj',
+  м: 'm', н: 'n', њ: 'nj', о: 'o', п: 'p', р: 'r', с: 's', т: 't', ћ: 'ć', ќ: 'kj', у: 'u',
+  ў: 'w', ф: 'f', х: 'kh', ц: 'ts', џ: 'dž', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y',
+  ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+// BGN/PCGN writes е/ё as ye/yë at the start of a word and after these
+const CYRILLIC_IOTATING = new Set(['а', 'е', 'ё', 'и', 'о', 'у', 'ы', 'э', 'ю', 'я', 'й', 'ъ', 'ь', 'і', 'ї', 'є']);
+
+// ELOT 743 (ISO 843 type 2)
+const GREEK_ELOT743 = {
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l',
+  μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f',
+  χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+const GREEK_VOWELS = new Set(['α', 'ε', 'η', 'ι', 'ο', 'υ', 'ω']);
+
+// αυ/ευ/ηυ read av/ev/iv before these, af/ef/if otherwise
+const GREEK_VOICED = new Set(['β', 'γ', 'δ', 'ζ', 'λ', 'μ', 'ν', 'ρ']);
+
+// Modified Hepburn writes long vowels with a macron (ii stays as it is)
+const KANA_LONG_VOWELS = { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' };
+
+// Vowel kana that make a long vowel with the vowel before them (ou is a long o)
+const KANA_LONG_PAIRS = { あ: ['a'], う: ['u', 'o'], え: ['e'], お: ['o'] };
+
+const KANA_BARE_VOWELS = new Set(['あ', 'い', 'う', 'え', 'お']);
+
+// Modified Hepburn for hiragana (katakana is shifted onto these first)
+const KANA_HEPBURN = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko', が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so', ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to', だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho', ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu'
+};
+
+// Small kana that merge into the previous syllable (kya, sha, fa, ti)
+const KANA_SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+const KANA_SMALL_VOWELS = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+
+// Revised Romanization jamo - initial consonants, vowels, final consonants
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+// Surnames as Koreans actually spell them (Kim, Lee, Park rather than Gim, I, Bak)
+const HANGUL_CUSTOMARY_SURNAMES = {
+  김: 'kim', 이: 'lee', 박: 'park', 최: 'choi', 정: 'jung', 강: 'kang', 조: 'cho', 윤: 'yoon',
+  장: 'jang', 임: 'lim', 한: 'han', 오: 'oh', 서: 'seo', 신: 'shin', 권: 'kwon', 황: 'hwang',
+  안: 'ahn', 송: 'song', 류: 'ryu', 유: 'yoo', 홍: 'hong', 전: 'jeon', 고: 'ko', 문: 'moon',
+  손: 'son', 양: 'yang', 배: 'bae', 백: 'baek', 허: 'heo', 노: 'noh', 남: 'nam', 심: 'shim',
+  하: 'ha', 곽: 'kwak', 성: 'sung', 차: 'cha', 주: 'joo', 우: 'woo', 구: 'koo', 민: 'min',
+  진: 'jin', 나: 'na', 지: 'ji', 변: 'byun', 채: 'chae', 원: 'won', 천: 'cheon', 방: 'bang',
+  공: 'kong', 현: 'hyun', 함: 'ham', 여: 'yeo', 염: 'yeom', 석: 'seok', 설: 'seol', 명: 'myung',
+  기: 'ki', 왕: 'wang', 금: 'keum', 국: 'kook', 은: 'eun', 남궁: 'namgoong', 황보: 'hwangbo',
+  제갈: 'jegal', 선우: 'sunwoo'
+};
+
+// Devanagari letters as [IAST, Hunterian]
+const DEVANAGARI_CONSONANTS = {
+  क: ['k', 'k'], ख: ['kh', 'kh'], ग: ['g', 'g'], घ: ['gh', 'gh'], ङ: ['ṅ', 'n'],
+  च: ['c', 'ch'], छ: ['ch', 'chh'], ज: ['j', 'j'], झ: ['jh', 'jh'], ञ: ['ñ', 'n'],
+  ट: ['ṭ', 't'], ठ: ['ṭh', 'th'], ड: ['ḍ', 'd'], ढ: ['ḍh', 'dh'], ण: ['ṇ', 'n'],
+  त: ['t', 't'], थ: ['th', 'th'], द: ['d', 'd'], ध: ['dh', 'dh'], न: ['n', 'n'],
+  प: ['p', 'p'], फ: ['ph', 'ph'], ब: ['b', 'b'], भ: ['bh', 'bh'], म: ['m', 'm'],
+  य: ['y', 'y'], र: ['r', 'r'], ल: ['l', 'l'], व: ['v', 'v'], श: ['ś', 'sh'],
+  ष: ['ṣ', 'sh'], स: ['s', 's'], ह: ['h', 'h'], ळ: ['ḷ', 'l']
+};
+
+// Consonant + nukta (U+093C) for Perso-Arabic sounds
+const DEVANAGARI_NUKTA = {
+  क: ['q', 'q'], ख: ['k͟h', 'kh'], ग: ['ġ', 'gh'], ज: ['z', 'z'], ड: ['ṛ', 'r'], ढ: ['ṛh', 'rh'], फ: ['f', 'f']
+};
+
+const DEVANAGARI_VOWELS = {
+  अ: ['a', 'a'], आ: ['ā', 'a'], इ: ['i', 'i'], ई: ['ī', 'i'], उ: ['u', 'u'], ऊ: ['ū', 'u'],
+  ऋ: ['ṛ', 'ri'], ए: ['e', 'e'], ऐ: ['ai', 'ai'], ओ: ['o', 'o'], औ: ['au', 'au']
+};
+
+const DEVANAGARI_MATRAS = {
+  'ा': ['ā', 'a'], 'ि': ['i', 'i'], 'ी': ['ī', 'i'], 'ु': ['u', 'u'], 'ू': ['ū', 'u'],
+  'ृ': ['ṛ', 'ri'], 'े': ['e', 'e'], 'ै': ['ai', 'ai'], 'ो': ['o', 'o'], 'ौ': ['au', 'au']
+};
+
+// Anusvara, visarga, chandrabindu
+const DEVANAGARI_SIGNS = { 'ं': ['ṃ', 'n'], 'ः': ['ḥ', 'h'], 'ँ': ['m̐', 'n'] };
+
+const DEVANAGARI_VIRAMA = '्';
+const DEVANAGARI_NUKTA_SIGN = '़';
+
+// Letters that survive diacritic stripping but are still not ASCII
+const ASCII_FALLBACKS = {
+  ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', ł: 'l', Ł: 'L',
+  đ: 'd', Đ: 'D', ð: 'd', Ð: 'D', þ: 'th', Þ: 'Th', ı: 'i', ħ: 'h', Ħ: 'H',
+  '’': "'", '‘': "'", 'ʼ': "'"
+};
+
+function transliterateCyrillic(text, scheme) {
+  const table = scheme === 'iso9' ? CYRILLIC_ISO9 : CYRILLIC_BGN;
+  const chars = [...text.toLowerCase()];
+
+  return chars.map((ch, index) => {
+    if (scheme !== 'iso9' && (ch === 'е' || ch === 'ё')) {
+      const previous = chars[index - 1];
+      const iotated = !previous || !/\p{L}/u.test(previous) || CYRILLIC_IOTATING.has(previous);
+      if (iotated) {
+        return ch === 'е' ? 'ye' : 'yë';
+      }
+    }
+    return table[ch] ?? ch;
+  }).join('');
+}
+
+function transliterateGreek(text) {
+  // Split accents off, but remember the diaeresis - it stops two vowels forming a diphthong
+  const letters = [];
+  for (const ch of text.toLowerCase().normalize('NFD')) {
+    if (ch === '̈' && letters.length > 0) {
+      letters[letters.length - 1].diaeresis = true;
+    } else if (!/\p{M}/u.test(ch)) {
+      letters.push({ ch, diaeresis: false });
+    }
+  }
+
+  const isLetter = (entry) => !!entry && /\p{L}/u.test(entry.ch);
+  let output = '';
+
+  for (let i = 0; i < letters.length; i++) {
+    const current = letters[i].ch;
+    const next = letters[i + 1];
+
+    // ου is a single vowel
+    if (current === 'ο' && next?.ch === 'υ' && !next.diaeresis) {
+      output += 'ou';
+      i++;
+      continue;
+    }
+
+    // αυ, ευ, ηυ - v before vowels and voiced consonants, f otherwise
+    if ((current === 'α' || current === 'ε' || current === 'η') && next?.ch === 'υ' && !next.diaeresis) {
+      const following = letters[i + 2]?.ch;
+      const voiced = following && (GREEK_VOWELS.has(following) || GREEK_VOICED.has(following));
+      output += GREEK_ELOT743[current] + (voiced ? 'v' : 'f');
+      i++;
+      continue;
+    }
+
+    // γγ, γξ, γχ are nasal
+    if (current === 'γ' && next && ['γ', 'ξ', 'χ'].includes(next.ch)) {
+      output += 'n' + GREEK_ELOT743[next.ch];
+      i++;
+      continue;
+    }
+
+    // μπ is b at either end of a word, mp inside it
+    if (current === 'μ' && next?.ch === 'π') {
+      const atEdge = !isLetter(letters[i - 1]) || !isLetter(letters[i + 2]);
+      output += atEdge ? 'b' : 'mp';
+      i++;
+      continue;
+    }
+
+    output += GREEK_ELOT743[current] ?? current;
+  }
+
+  return output;
+}
+
+function transliterateKana(text) {
+  // Katakana sits exactly 0x60 above the matching hiragana
+  const hiragana = [...text].map(ch => {
+    const code = ch.codePointAt(0);
+    return code >= 0x30A1 && code <= 0x30F6 ? String.fromCodePoint(code - 0x60) : ch;
+  });
+
+  const syllables = [];
+  let geminate = false;
+
+  // Write the previous syllable's vowel long (ō) - the ASCII form drops the macron again
+  const lengthenPrevious = () => {
+    const previous = syllables[syllables.length - 1];
+    syllables[syllables.length - 1] = previous.slice(0, -1) + KANA_LONG_VOWELS[previous.slice(-1)];
+  };
+
+  hiragana.forEach((ch, index) => {
+    // Small tsu doubles the next consonant
+    if (ch === 'っ') {
+      geminate = true;
+      return;
+    }
+
+    const previous = syllables[syllables.length - 1];
+    const previousVowel = previous?.slice(-1);
+
+    // Long vowel mark lengthens whatever vowel came before it
+    if (ch === 'ー') {
+      if (KANA_LONG_VOWELS[previousVowel]) {
+        lengthenPrevious();
+      }
+      return;
+    }
+
+    // aa, uu, ee, oo and ou are one long vowel - unless the second vowel starts a new
+    // word with the next kana (いのうえ is Inoue, not Inōe)
+    if (KANA_LONG_PAIRS[ch]?.includes(previousVowel) && !KANA_BARE_VOWELS.has(hiragana[index + 1])) {
+      lengthenPrevious();
+      return;
+    }
+
+    if (KANA_SMALL_Y[ch] && previous && previous.endsWith('i')) {
+      const stem = previous.slice(0, -1);
+      // shi/chi/ji absorb the y (sha, cha, ja)
+      syllables[syllables.length - 1] = ['sh', 'ch', 'j'].includes(stem)
+        ? stem + KANA_SMALL_Y[ch]
+        : stem + 'y' + KANA_SMALL_Y[ch];
+      return;
+    }
+
+    if (KANA_SMALL_VOWELS[ch] && previous) {
+      // Loanword sounds: fa, ti, di, wi, va
+      const stem = previous === 'u' ? 'w' : previous.replace(/[aeiou]$/, '');
+      syllables[syllables.length - 1] = stem + KANA_SMALL_VOWELS[ch];
+      return;
+    }
+
+    let syllable = KANA_HEPBURN[ch] ?? KANA_SMALL_VOWELS[ch] ?? KANA_SMALL_Y[ch] ?? ch;
+
+    if (geminate) {
+      syllable = syllable.startsWith('ch') ? 't' + syllable : syllable[0] + syllable;
+      geminate = false;
+    }
+
+    syllables.push(syllable);
+  });
+
+  return syllables.join('');
+}
+
+function transliterateHangul(text, scheme, part) {
+  let remaining = text;
+  let prefix = '';
+
+  // Customary spelling applies to the family name only
+  if (scheme === 'customary' && part === 'family') {
+    const surname = [remaining.slice(0, 2), remaining.slice(0, 1)]
+      .find(candidate => HANGUL_CUSTOMARY_SURNAMES[candidate]);
+    if (surname) {
+      prefix = HANGUL_CUSTOMARY_SURNAMES[surname];
+      remaining = remaining.slice(surname.length);
+    }
+  }
+
+  // Syllable blocks decompose arithmetically into initial, vowel and final jamo
+  const romanized = [...remaining].map(ch => {
+    const index = ch.codePointAt(0) - 0xAC00;
+    if (index < 0 || index > 11171) {
+      return ch;
+    }
+
+    const initial = Math.floor(index / 588);
+    const vowel = Math.floor((index % 588) / 28);
+    const final = index % 28;
+
+    return HANGUL_INITIALS[initial] + HANGUL_VOWELS[vowel] + HANGUL_FINALS[final];
+  }).join('');
+
+  return prefix + romanized;
+}
+
+function transliterateDevanagari(text, scheme) {
+  const column = scheme === 'iast' ? 0 : 1;
+  const chars = [...text];
+  const isDevanagariLetter = (ch) => !!ch && /[ऀ-ॿ]/.test(ch);
+
+  let output = '';
+  let pendingVowel = false;
+  let syllablesInWord = 0;
+
+  const flushVowel = () => {
+    if (pendingVowel) {
+      output += 'a';
+      pendingVowel = false;
+    }
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+
+    if (DEVANAGARI_CONSONANTS[ch]) {
+      flushVowel();
+      const withNukta = chars[i + 1] === DEVANAGARI_NUKTA_SIGN && DEVANAGARI_NUKTA[ch];
+      output += withNukta ? withNukta[column] : DEVANAGARI_CONSONANTS[ch][column];
+      if (withNukta) i++;
+      pendingVowel = true;
+      syllablesInWord++;
+
+      // Hunterian drops the inherent vowel at the end of a longer word (राम -> ram)
+      if (scheme !== 'iast' && syllablesInWord > 1 && !isDevanagariLetter(chars[i + 1])) {
+        pendingVowel = false;
+      }
+    } else if (DEVANAGARI_MATRAS[ch]) {
+      output += DEVANAGARI_MATRAS[ch][column];
+      pendingVowel = false;
+    } else if (ch === DEVANAGARI_VIRAMA) {
+      pendingVowel = false;
+    } else if (DEVANAGARI_VOWELS[ch]) {
+      flushVowel();
+      output += DEVANAGARI_VOWELS[ch][column];
+      syllablesInWord++;
+    } else if (DEVANAGARI_SIGNS[ch]) {
+      flushVowel();
+      output += DEVANAGARI_SIGNS[ch][column];
+    } else {
+      flushVowel();
+      output += ch;
+      syllablesInWord = 0;
+    }
+  }
+
+  flushVowel();
+  return output;
+}
+
+/**
+ * Strip diacritics and fold the remaining non-ASCII letters
+ * @param {string} text - Latin text
+ * @returns {string} ASCII-only text
+ */
+export function toAscii(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^\u0000-\u007F]/g, ch => ASCII_FALLBACKS[ch] ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Romanize text written in a single non-Latin script
+ * @param {string} text - Text to romanize
+ * @param {string} script - Script label from detectScript()
+ * @param {string} scheme - Scheme from TRANSLITERATION_SCHEMES (falls back to the script default)
+ * @param {Object} options - { part: 'family' | 'given' } for scripts with surname rules
+ * @returns {string|null} Lower-case romanization, or null if the script is not supported
+ */
+export function transliterate(text, script, scheme = null, options = {}) {
+  const { part = 'given' } = options;
+  const schemes = TRANSLITERATION_SCHEMES[script];
+
+  if (!text || !schemes) {
+    return null;
+  }
+
+  const selected = schemes.includes(scheme) ? scheme : schemes[0];
+
+  switch (script) {
+    case 'cyrillic':
+      return transliterateCyrillic(text, selected);
+    case 'greek':
+      return transliterateGreek(text);
+    case 'han':
+      // Surname mode picks surname readings (单 -> shan, not dan)
+      return pinyin(text, {
+        toneType: 'none',
+        type: 'array',
+        surname: part === 'family' ? 'all' : 'off',
+        nonZh: 'consecutive'
+      }).join('').replace(/\s+/g, ' ');
+    case 'hiragana':
+    case 'katakana':
+      return transliterateKana(text);
+    case 'hangul':
+      return transliterateHangul(text, selected, part);
+    case 'devanagari':
+      return transliterateDevanagari(text, selected);
+    default:
+      return null;
+  }
+}
+
+export default {
+  TRANSLITERATION_SCHEMES,
+  DEFAULT_SCHEMES,
+  toAscii,
+  transliterate
+};
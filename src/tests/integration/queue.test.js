@@ -0,0 +1,68 @@
+// src/tests/integration/queue.test.js
+import { jest } from '@jest/globals';
+import queueService from '../../services/queue-service.js';
+import clientService from '../../services/client-service.js';
+import db from '../../core/db.js';
+
+describe('QueueService phone extraction', () => {
+  const contact = {
+    properties: {
+      phone: '+1 212 555 0100 or +1 646 555 0199',
+      mobilephone: '+44 7700 900123',
+      country: 'US'
+    }
+  };
+
+  test('stops at the um_phoneN properties HubSpot has', () => {
+    const numbers = queueService.extractPhoneNumbers(contact, { fromText: true });
+
+    expect(numbers).toHaveLength(2);
+    expect(numbers.map(n => n.number)).toEqual(['+12125550100', '+16465550199']);
+  });
+
+  test('never writes past um_phone2', () => {
+    const fields = [];
+    const phones = ['+12125550100', '+16465550199', '+447700900123'].map(number => ({
+      um_phone: number,
+      formatValid: true
+    }));
+
+    queueService.addPhoneFieldsToForm(fields, {}, contact, { phones });
+
+    const names = fields.map(field => field.name);
+    expect(names).toContain('um_phone2');
+    expect(names.some(name => name.startsWith('um_phone3'))).toBe(false);
+  });
+});
+
+describe('ClientService.incrementUsage', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('counts a batch in one call', async () => {
+    const rpc = jest.spyOn(db, 'rpc').mockResolvedValue(7);
+
+    await expect(clientService.incrementUsage('client-1', 'phone', 3)).resolves.toBe(7);
+    expect(rpc).toHaveBeenCalledTimes(1);
+    expect(rpc).toHaveBeenCalledWith('decrement_validation_count', {
+      p_client_id: 'client-1',
+      p_validation_type: 'phone',
+      p_count: 3
+    });
+  });
+
+  test('a single validation calls the function as before', async () => {
+    const rpc = jest.spyOn(db, 'rpc').mockResolvedValue(9);
+
+    await expect(clientService.incrementUsage('client-1', 'email')).resolves.toBe(9);
+    expect(rpc).toHaveBeenCalledWith('decrement_validation_count', {
+      p_client_id: 'client-1',
+      p_validation_type: 'email'
+    });
+  });
+
+  test('a failed decrement is reported as -1', async () => {
+    jest.spyOn(db, 'rpc').mockResolvedValue(-1);
+
+    await expect(clientService.incrementUsage('client-1', 'phone', 5)).resolves.toBe(-1);
+  });
+});
@@ -0,0 +1,39 @@
+// src/tests/unit/canonical-email.test.js
+import { emailValidationService } from '../../services/validation/email-validation-service.js';
+
+describe('EmailValidationService.getCanonicalEmail', () => {
+  const canonical = (email) => emailValidationService.getCanonicalEmail(email);
+
+  test('Gmail and Googlemail ignore dots and +tags', () => {
+    expect(canonical('John.Doe+news@gmail.com')).toBe('johndoe@gmail.com');
+    expect(canonical('john.doe@googlemail.com')).toBe('johndoe@gmail.com');
+  });
+
+  test('Outlook, Hotmail and Live drop +tags but keep dots', () => {
+    expect(canonical('john.doe+shop@outlook.com')).toBe('john.doe@outlook.com');
+    expect(canonical('john.doe+shop@hotmail.co.uk')).toBe('john.doe@hotmail.co.uk');
+  });
+
+  test('Yahoo uses - for subaddresses', () => {
+    expect(canonical('john.doe-shop@yahoo.com')).toBe('john.doe@yahoo.com');
+    expect(canonical('john.doe+shop@yahoo.com')).toBe('john.doe+shop@yahoo.com');
+  });
+
+  test('Fastmail subdomain addressing goes to the user at the bare domain', () => {
+    expect(canonical('anything@jane.fastmail.com')).toBe('jane@fastmail.com');
+    expect(canonical('jane+lists@fastmail.com')).toBe('jane@fastmail.com');
+  });
+
+  test('other domains are only lower-cased', () => {
+    expect(canonical('John.Doe+news@Example.com')).toBe('john.doe+news@example.com');
+    expect(canonical('not-an-email')).toBeNull();
+  });
+});
+
+describe('EmailValidationService.correctEmailTypos', () => {
+  test('a +tag stays on the address returned to the client', async () => {
+    const result = await emailValidationService.correctEmailTypos('john.doe+news@gmail.com');
+
+    expect(result).toMatchObject({ email: 'john.doe+news@gmail.com', corrected: false });
+  });
+});
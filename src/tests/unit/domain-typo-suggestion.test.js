@@ -0,0 +1,111 @@
+// src/tests/unit/domain-typo-suggestion.test.js
+import { jest } from '@jest/globals';
+import { isKeyboardAdjacent, damerauLevenshtein, similarity } from '../../services/validation/string-similarity.js';
+import { emailValidationService } from '../../services/validation/email-validation-service.js';
+
+describe('keyboard-aware Damerau-Levenshtein', () => {
+  test('knows which keys are neighbours', () => {
+    expect(isKeyboardAdjacent('m', 'n')).toBe(true);
+    expect(isKeyboardAdjacent('a', 'z')).toBe(true);
+    expect(isKeyboardAdjacent('a', 'p')).toBe(false);
+  });
+
+  test('a swapped pair costs one edit', () => {
+    expect(damerauLevenshtein('gmial.com', 'gmail.com')).toBe(1);
+  });
+
+  test('a neighbouring key costs less than any other substitution', () => {
+    expect(damerauLevenshtein('gnail.com', 'gmail.com')).toBe(0.5);
+    expect(damerauLevenshtein('gxail.com', 'gmail.com')).toBe(1);
+    expect(damerauLevenshtein('gnail.com', 'gmail.com', { keyboardAware: false })).toBe(1);
+  });
+
+  test('insertions and deletions', () => {
+    expect(damerauLevenshtein('gmai.com', 'gmail.com')).toBe(1);
+    expect(damerauLevenshtein('gmaill.com', 'gmail.com')).toBe(1);
+    expect(damerauLevenshtein('', 'abc')).toBe(3);
+  });
+
+  test('similarity is 1 for identical strings and falls with distance', () => {
+    expect(similarity('gmail.com', 'gmail.com')).toBe(1);
+    expect(similarity('gmial.com', 'gmail.com')).toBeCloseTo(1 - 1 / 9);
+  });
+});
+
+describe('EmailValidationService domain typo suggestions', () => {
+  // Let the start-up load settle so it can't replace the lists below
+  beforeAll(() => emailValidationService.loadNormalizationData());
+
+  beforeEach(() => {
+    emailValidationService.validDomains = new Set(['gmail.com', 'hotmail.com', 'yahoo.com', 'yahoo.com.br', 'aol.com']);
+    emailValidationService.invalidDomains = new Set();
+    emailValidationService.validTlds = new Set(['.com', '.com.br', '.co']);
+    emailValidationService.domainTypos = new Map();
+    emailValidationService.tldTypos = new Map();
+
+    // Typo domains don't receive mail unless a test says otherwise
+    jest.spyOn(emailValidationService, 'checkMxRecords').mockResolvedValue({ hasMxRecords: false });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('suggests the closest known domain', () => {
+    expect(emailValidationService.findDomainSuggestion('gmial.com')).toMatchObject({
+      domain: 'gmail.com',
+      distance: 1,
+      ambiguous: false
+    });
+  });
+
+  test('does not suggest for a known domain', () => {
+    expect(emailValidationService.findDomainSuggestion('gmail.com')).toBeNull();
+  });
+
+  test('the same provider on another valid TLD is not a typo', () => {
+    emailValidationService.validDomains.delete('yahoo.com.br');
+    expect(emailValidationService.findDomainSuggestion('yahoo.com.br')).toBeNull();
+  });
+
+  test('nothing close enough means no suggestion', () => {
+    expect(emailValidationService.findDomainSuggestion('example.org')).toBeNull();
+  });
+
+  test('two equally close candidates are flagged as ambiguous', () => {
+    emailValidationService.validDomains = new Set(['mail.com', 'gail.com']);
+    expect(emailValidationService.findDomainSuggestion('gmail.com')).toMatchObject({ ambiguous: true });
+  });
+
+  test('short domain names are never fuzzy matched', async () => {
+    emailValidationService.validDomains = new Set(['me.com', 'gmx.com', 'gmail.com']);
+
+    ['mw.com', 'ge.com', 'gm.com'].forEach(domain => {
+      expect(emailValidationService.findDomainSuggestion(domain)).toBeNull();
+    });
+
+    const result = await emailValidationService.correctEmailTypos('editor@mw.com');
+    expect(result).toMatchObject({ email: 'editor@mw.com', corrected: false, didYouMean: null });
+  });
+
+  test('a domain that receives mail is suggested but never rewritten', async () => {
+    emailValidationService.checkMxRecords.mockResolvedValue({ hasMxRecords: true });
+
+    const result = await emailValidationService.correctEmailTypos('jane@gnail.com', { autoCorrectConfidence: 0.9 });
+    expect(result.email).toBe('jane@gnail.com');
+    expect(result.corrected).toBe(false);
+    expect(result.didYouMean).toBe('jane@gmail.com');
+  });
+
+  test('applies a confident correction and only suggests a weaker one', async () => {
+    const confident = await emailValidationService.correctEmailTypos('jane@gnail.com', { autoCorrectConfidence: 0.9 });
+    expect(confident.email).toBe('jane@gmail.com');
+    expect(confident.corrected).toBe(true);
+    expect(confident.didYouMean).toBeNull();
+
+    const weaker = await emailValidationService.correctEmailTypos('jane@gmial.com', { autoCorrectConfidence: 0.95 });
+    expect(weaker.email).toBe('jane@gmial.com');
+    expect(weaker.didYouMean).toBe('jane@gmail.com');
+    expect(weaker.suggestions).toEqual([
+      expect.objectContaining({ type: 'domain_fuzzy', suggestion: 'gmail.com', applied: false })
+    ]);
+  });
+});
@@ -0,0 +1,36 @@
+// src/tests/unit/email-classification.test.js
+import { emailValidationService } from '../../services/validation/email-validation-service.js';
+
+describe('EmailValidationService.applyClassification', () => {
+  const validResult = (email) => ({ status: 'valid', subStatus: null, formatValid: true, currentEmail: email });
+
+  beforeEach(() => {
+    emailValidationService.freeEmailProviders.add('gmail.com');
+    emailValidationService.disposableDomains.add('mailinator.com');
+  });
+
+  test('free providers are flagged without a warning by default', () => {
+    const policy = emailValidationService.getClassificationPolicy(null);
+    const result = emailValidationService.applyClassification(validResult('jane@gmail.com'), policy);
+
+    expect(policy.freeProvider).toBe('flag');
+    expect(result.is_free_provider).toBe(true);
+    expect(result.status).toBe('valid');
+    expect(result.warnings).toBeUndefined();
+  });
+
+  test('a client can still ask for a warning on free providers', () => {
+    const policy = emailValidationService.getClassificationPolicy({ email_free_policy: 'warn' });
+    const result = emailValidationService.applyClassification(validResult('jane@gmail.com'), policy);
+
+    expect(result.warnings).toEqual(['Free email provider']);
+  });
+
+  test('disposable domains are invalid by default', () => {
+    const policy = emailValidationService.getClassificationPolicy(null);
+    const result = emailValidationService.applyClassification(validResult('jane@mailinator.com'), policy);
+
+    expect(result.status).toBe('invalid');
+    expect(result.subStatus).toBe('disposable');
+  });
+});
@@ -0,0 +1,41 @@
+// src/tests/unit/email-providers.test.js
+import { zeroBounceService } from '../../services/external/zerobounce.js';
+import { neverBounceService } from '../../services/external/neverbounce.js';
+import { kickboxService } from '../../services/external/kickbox.js';
+
+describe('email provider normalization', () => {
+  test('a disposable address reads the same whichever vendor answered', () => {
+    const email = 'temp@mailinator.com';
+    const results = [
+      zeroBounceService.normalize({ status: 'do_not_mail', sub_status: 'disposable' }, email),
+      neverBounceService.normalize({ result: 'disposable', flags: [] }, email),
+      kickboxService.normalize({ result: 'risky', reason: 'accepted_email', disposable: true }, email)
+    ];
+
+    results.forEach(result => {
+      expect(result).toMatchObject({ status: 'do_not_mail', subStatus: 'disposable', disposable: true });
+    });
+  });
+
+  test('Kickbox reasons map onto ZeroBounce sub statuses', () => {
+    const subStatus = (reason, result = 'undeliverable') =>
+      kickboxService.normalize({ result, reason }, 'x@example.com').subStatus;
+
+    expect(subStatus('rejected_email')).toBe('mailbox_not_found');
+    expect(subStatus('invalid_email')).toBe('failed_syntax_check');
+    expect(subStatus('invalid_domain')).toBe('no_dns_entries');
+    expect(subStatus('no_connect', 'unknown')).toBe('failed_smtp_connection');
+    expect(subStatus('timeout', 'unknown')).toBe('timeout_exceeded');
+    expect(subStatus('low_quality', 'risky')).toBeNull();
+    expect(subStatus('something_new')).toBeNull();
+  });
+
+  test('NeverBounce invalid flags become ZeroBounce sub statuses', () => {
+    const subStatus = (flags) =>
+      neverBounceService.normalize({ result: 'invalid', flags }, 'x@example.com').subStatus;
+
+    expect(subStatus([])).toBe('mailbox_not_found');
+    expect(subStatus(['bad_syntax'])).toBe('failed_syntax_check');
+    expect(subStatus(['bad_dns'])).toBe('no_dns_entries');
+  });
+});
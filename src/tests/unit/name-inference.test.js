@@ -0,0 +1,66 @@
+// src/tests/unit/name-inference.test.js
+import { nameValidationService } from '../../services/validation/name-validation-service.js';
+import { emailValidationService } from '../../services/validation/email-validation-service.js';
+
+describe('NameValidationService.inferNameFromEmail', () => {
+  // Start from the built-in lists rather than whatever the start-up load is doing
+  beforeAll(() => Promise.all([
+    nameValidationService.loadNormalizationData(),
+    emailValidationService.loadNormalizationData()
+  ]));
+
+  const infer = (email) => nameValidationService.inferNameFromEmail(email);
+
+  test('first.last', () => {
+    expect(infer('john.smith@example.com')).toMatchObject({
+      firstName: 'John',
+      lastName: 'Smith',
+      pattern: 'first_last',
+      confidenceLevel: 'high',
+      um_inferred_name_status: 'Inferred'
+    });
+  });
+
+  test('last_first is recognised from the known given name', () => {
+    expect(infer('smith_john2@example.com')).toMatchObject({
+      firstName: 'John',
+      lastName: 'Smith',
+      pattern: 'last_first'
+    });
+  });
+
+  test('an unknown pair keeps the usual order at a lower confidence', () => {
+    const result = infer('zorblat.quenby@example.com');
+    expect(result).toMatchObject({ firstName: 'Zorblat', lastName: 'Quenby', pattern: 'first_last' });
+    expect(result.confidence).toBeLessThan(infer('john.smith@example.com').confidence);
+  });
+
+  test('particles stay lower-case and with the last name', () => {
+    expect(infer('jean.de.la.fontaine@example.com')).toMatchObject({
+      firstName: 'Jean',
+      lastName: 'de la Fontaine'
+    });
+  });
+
+  test('initials', () => {
+    expect(infer('j.smith@example.com')).toMatchObject({ firstInitial: 'J', lastName: 'Smith', pattern: 'initial_last' });
+    expect(infer('jsmith@example.com')).toMatchObject({ firstInitial: 'J', lastName: 'Smith', pattern: 'initial_last' });
+    expect(infer('smith.j@example.com')).toMatchObject({ firstInitial: 'J', lastName: 'Smith', pattern: 'last_initial' });
+  });
+
+  test('role accounts never produce a name', () => {
+    ['info@example.com', 'sales.team@example.com', 'support+eu@example.com'].forEach(email => {
+      expect(infer(email)).toMatchObject({
+        firstName: '',
+        lastName: '',
+        pattern: 'role_account',
+        um_inferred_name_status: 'Not inferred'
+      });
+    });
+  });
+
+  test('junk local parts are marked as not inferred', () => {
+    expect(infer('12345@example.com')).toMatchObject({ firstName: '', lastName: '', um_inferred_name_status: 'Not inferred' });
+    expect(infer('not-an-email')).toMatchObject({ um_inferred_name_status: 'Not inferred' });
+  });
+});
@@ -0,0 +1,34 @@
+// src/tests/unit/name-match.test.js
+import { nameValidationService } from '../../services/validation/name-validation-service.js';
+
+describe('NameValidationService.matchNames', () => {
+  beforeAll(() => nameValidationService.loadNormalizationData());
+
+  const match = (a, b) => nameValidationService.matchNames(a, b);
+
+  test('the same name matches', () => {
+    expect(match('John Smith', 'John Smith')).toMatchObject({ score: 1, matchLevel: 'match' });
+  });
+
+  test('nicknames and middle initials still match', () => {
+    expect(match('Bob Smith', 'Robert Smith').matchLevel).toBe('match');
+    expect(match('John A. Smith', 'John Smith').matchLevel).toBe('match');
+  });
+
+  test('a first or last name only one side gives is not a match', () => {
+    const firstOnly = match('John', 'John Smith');
+    expect(firstOnly.matchLevel).not.toBe('match');
+    expect(firstOnly.score).toBeLessThan(1);
+    expect(firstOnly.components.lastName).toMatchObject({ reason: 'missing_one_side' });
+
+    expect(match('Smith', 'John Smith').matchLevel).not.toBe('match');
+  });
+
+  test('different people do not match', () => {
+    expect(match('John Smith', 'Mary Jones').matchLevel).toBe('no_match');
+  });
+
+  test('conflicting generational suffixes cap the score', () => {
+    expect(match('John Smith Jr.', 'John Smith Sr.').matchLevel).toBe('no_match');
+  });
+});
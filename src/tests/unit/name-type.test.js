@@ -0,0 +1,42 @@
+// src/tests/unit/name-type.test.js
+import { nameValidationService } from '../../services/validation/name-validation-service.js';
+
+describe('NameValidationService.classifyNameType', () => {
+  beforeAll(() => nameValidationService.loadNormalizationData());
+
+  const nameType = (text) => nameValidationService.classifyNameType(text).name_type;
+
+  test('legal-entity suffixes make an organization', () => {
+    expect(nameType('Acme Plumbing LLC')).toBe('organization');
+    expect(nameType('Siemens AG')).toBe('organization');
+    expect(nameType('Equinor ASA')).toBe('organization');
+    expect(nameType('Philips N.V.')).toBe('organization');
+    expect(nameType('Maersk ApS')).toBe('organization');
+  });
+
+  test('short suffixes that are also name parts need dots or capitals', () => {
+    expect(nameType('John Asa Smith')).toBe('person');
+    expect(nameType('Anna Sas')).toBe('person');
+    expect(nameType('Lena Oy')).toBe('person');
+    expect(nameType('Mai Ug')).toBe('person');
+  });
+
+  test('a single trailing business term needs a second signal', () => {
+    expect(nameType('Joyce Brothers')).toBe('person');
+    expect(nameType('Chris Global')).toBe('person');
+    expect(nameType("Joe's Plumbing")).toBe('organization');
+    expect(nameType('Smith & Sons Roofing')).toBe('organization');
+    expect(nameType('Bright Smile Dental')).toBe('organization');
+    expect(nameType('Global Logistics')).toBe('organization');
+    expect(nameType('John Paul Global')).toBe('person');
+  });
+
+  test('department names', () => {
+    expect(nameType('Accounts Payable')).toBe('department');
+  });
+
+  test('ordinary names are people', () => {
+    expect(nameType('John Smith')).toBe('person');
+    expect(nameType('')).toBe('person');
+  });
+});
@@ -0,0 +1,65 @@
+// src/tests/unit/phone-extension.test.js
+import { phoneValidationService } from '../../services/validation/phone-validation-service.js';
+
+describe('PhoneValidationService.splitExtension', () => {
+  const split = (phone) => phoneValidationService.splitExtension(phone);
+
+  test('extension markers', () => {
+    expect(split('415-555-2671 x204')).toMatchObject({ number: '415-555-2671', extension: '204' });
+    expect(split('+1 415 555 2671 ext 12')).toMatchObject({ number: '+1 415 555 2671', extension: '12' });
+    expect(split('+1 415 555 2671 ext. 15')).toMatchObject({ extension: '15' });
+    expect(split('+1 415 555 2671 extension 7')).toMatchObject({ extension: '7' });
+    expect(split('415 555 2671 #12')).toMatchObject({ number: '415 555 2671', extension: '12' });
+    expect(split('tel:+1-415-555-2671;ext=9')).toMatchObject({ number: '+1-415-555-2671', extension: '9' });
+  });
+
+  test('vanity numbers keep their letters', () => {
+    ['1-800-MAX-1234', '1-800-FLOWERS', '1 800 FLOWERS'].forEach(phone => {
+      expect(split(phone)).toEqual({ number: phone, extension: null, trailingText: null });
+    });
+  });
+
+  test('words after a complete number are split off', () => {
+    expect(split('(415) 555-2671 Box 12')).toEqual({
+      number: '(415) 555-2671',
+      extension: null,
+      trailingText: 'Box 12'
+    });
+  });
+});
+
+describe('PhoneValidationService.validatePhoneNumber with extensions', () => {
+  const validate = (phone, options = {}) => phoneValidationService.validatePhoneNumber(phone, {
+    country: 'US',
+    useCache: false,
+    useExternalApi: false,
+    ...options
+  });
+
+  test('the extension is kept apart from the number and added to the display formats', async () => {
+    const result = await validate('+1 415 555 2671 x204');
+
+    expect(result).toMatchObject({
+      valid: true,
+      e164: '+14155552671',
+      e164WithExtension: '+14155552671;ext=204',
+      nationalFormat: '(415) 555-2671 ext. 204',
+      um_phone: '+1 415 555 2671 ext. 204',
+      um_phone_extension: '204'
+    });
+  });
+
+  test('an extension over the limit is dropped with a warning', async () => {
+    const result = await validate('+1 415 555 2671 ext. 1234567');
+
+    expect(result).toMatchObject({ valid: true, um_phone_extension: '' });
+    expect(result.warning).toContain('Extension is longer than 6 digits');
+  });
+
+  test('words after the number are ignored rather than dialled', async () => {
+    const result = await validate('(415) 555-2671 Box 12');
+
+    expect(result).toMatchObject({ valid: true, e164: '+14155552671', um_phone_status: 'Changed' });
+    expect(result.warning).toContain('Ignored text after the number: "Box 12"');
+  });
+});
@@ -0,0 +1,53 @@
+// src/tests/unit/phone-format.test.js
+import { phoneValidationService } from '../../services/validation/phone-validation-service.js';
+
+describe('PhoneValidationService.validatePhoneNumber output formats', () => {
+  const validate = (phone, options = {}) => phoneValidationService.validatePhoneNumber(phone, {
+    country: 'US',
+    useCache: false,
+    useExternalApi: false,
+    ...options
+  });
+
+  test('the extension is carried into every format', async () => {
+    const result = await validate('+1 415 555 2671 x204');
+
+    expect(result).toMatchObject({
+      valid: true,
+      e164: '+14155552671',
+      um_phone: '+1 415 555 2671 ext. 204',
+      um_phone_extension: '204'
+    });
+    expect(result.formats).toMatchObject({
+      e164WithExtension: '+14155552671;ext=204',
+      national: '(415) 555-2671 ext. 204',
+      rfc3966: 'tel:+14155552671;ext=204'
+    });
+  });
+
+  test('each output format', async () => {
+    const umPhone = async (format, dialFrom) =>
+      (await validate('+14155552671', { outputFormat: { format, dialFrom } })).um_phone;
+
+    expect(await umPhone('international')).toBe('+1 415 555 2671');
+    expect(await umPhone('e164')).toBe('+14155552671');
+    expect(await umPhone('national')).toBe('(415) 555-2671');
+    expect(await umPhone('rfc3966')).toBe('tel:+14155552671');
+    expect(await umPhone('dial_from', 'GB')).toBe('00 1 415 555 2671');
+  });
+
+  test('dial_from renders the number as dialled from another country', async () => {
+    const result = await validate('+61 2 9876 5432', {
+      country: 'AU',
+      outputFormat: { format: 'dial_from', dialFrom: 'US' }
+    });
+
+    expect(result.um_phone).toBe('011 61 2 9876 5432');
+    expect(result.formats.dialFrom).toBe('011 61 2 9876 5432');
+  });
+
+  test('um_phone_status compares the input with um_phone', async () => {
+    expect((await validate('+14155552671', { outputFormat: { format: 'e164' } })).um_phone_status).toBe('Unchanged');
+    expect((await validate('415.555.2671', { outputFormat: { format: 'e164' } })).um_phone_status).toBe('Changed');
+  });
+});
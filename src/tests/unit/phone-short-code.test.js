@@ -0,0 +1,37 @@
+// src/tests/unit/phone-short-code.test.js
+import { phoneValidationService } from '../../services/validation/phone-validation-service.js';
+
+describe('PhoneValidationService.isShortCode', () => {
+  const isShortCode = (digits, region) => phoneValidationService.isShortCode(digits, region);
+
+  test('service and emergency numbers the region really has', () => {
+    expect(isShortCode('911', 'US')).toBe(true);
+    expect(isShortCode('611', 'US')).toBe(true);
+    expect(isShortCode('000', 'AU')).toBe(true);
+  });
+
+  test('digits that are only short-code shaped are not short codes', () => {
+    expect(isShortCode('12345', 'US')).toBe(false);
+    expect(isShortCode('123', 'AU')).toBe(false);
+  });
+
+  test('needs a region and three to six digits', () => {
+    expect(isShortCode('911', null)).toBe(false);
+    expect(isShortCode('91', 'US')).toBe(false);
+    expect(isShortCode('2125550100', 'US')).toBe(false);
+  });
+});
+
+describe('PhoneValidationService.validatePhoneNumber with short codes', () => {
+  test('AU 000 is a valid short code, not an international number', async () => {
+    const result = await phoneValidationService.validatePhoneNumber('000', { country: 'AU' });
+
+    expect(result).toMatchObject({ valid: true, type: 'SHORT_CODE', country: 'Australia' });
+  });
+
+  test('US 911 is a valid short code', async () => {
+    const result = await phoneValidationService.validatePhoneNumber('911', { country: 'US' });
+
+    expect(result).toMatchObject({ valid: true, type: 'SHORT_CODE' });
+  });
+});
@@ -0,0 +1,202 @@
+// src/tests/unit/smtp-probe.test.js
+import net from 'net';
+import { jest } from '@jest/globals';
+import { SmtpProbeService } from '../../services/external/smtp-probe.js';
+import { emailValidationService } from '../../services/validation/email-validation-service.js';
+
+// Fake MX: answers RCPT TO from a per-recipient script of replies (one per attempt)
+const startFakeSmtpServer = (rcptReplies, { ehlo = ['250-fake.test', '250 SMTPUTF8'] } = {}) => {
+  const attempts = new Map();
+
+  const server = net.createServer((socket) => {
+    socket.setEncoding('utf8');
+    socket.write('220 fake.test ESMTP\r\n');
+
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex);
+        buffer = buffer.slice(newlineIndex + 2);
+
+        if (/^EHLO/i.test(line)) {
+          socket.write(ehlo.map(reply => `${reply}\r\n`).join(''));
+        } else if (/^MAIL FROM/i.test(line)) {
+          socket.write('250 2.1.0 OK\r\n');
+        } else if (/^RCPT TO/i.test(line)) {
+          const email = line.match(/<([^>]+)>/)[1];
+          const attempt = attempts.get(email) || 0;
+          attempts.set(email, attempt + 1);
+
+          const replies = rcptReplies[email] || ['550 5.1.1 No such user'];
+          socket.write(`${replies[Math.min(attempt, replies.length - 1)]}\r\n`);
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 2.0.0 Bye\r\n');
+        } else {
+          socket.write('502 5.5.2 Command not recognized\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, port: server.address().port, attempts });
+    });
+  });
+};
+
+const createProbe = (port, options = {}) => new SmtpProbeService({
+  enabled: true,
+  port,
+  heloHost: 'probe.test',
+  mailFrom: 'verify@probe.test',
+  connectTimeout: 1000,
+  commandTimeout: 1000,
+  greylistRetryDelay: 10,
+  ...options
+});
+
+describe('SmtpProbeService against a fake SMTP server', () => {
+  let fake;
+
+  afterEach(async () => {
+    if (fake) {
+      await new Promise(resolve => fake.server.close(resolve));
+      fake = null;
+    }
+  });
+
+  test('250 means the mailbox exists', async () => {
+    fake = await startFakeSmtpServer({ 'jane@example.test': ['250 2.1.5 OK'] });
+    const probe = createProbe(fake.port);
+
+    const result = await probe.verifyMailbox('jane@example.test', { mxHost: '127.0.0.1' });
+
+    expect(result).toMatchObject({
+      status: 'valid',
+      subStatus: 'mailbox_exists',
+      greylisted: false,
+      code: 250
+    });
+  });
+
+  test('550 means the mailbox does not exist', async () => {
+    fake = await startFakeSmtpServer({ 'gone@example.test': ['550 5.1.1 User unknown'] });
+    const probe = createProbe(fake.port);
+
+    const result = await probe.verifyMailbox('gone@example.test', { mxHost: '127.0.0.1' });
+
+    expect(result).toMatchObject({
+      status: 'invalid',
+      subStatus: 'mailbox_not_found',
+      code: 550,
+      enhancedCode: '5.1.1'
+    });
+  });
+
+  test('5.7.x is a policy block and says nothing about the mailbox', async () => {
+    fake = await startFakeSmtpServer({ 'jane@example.test': ['550 5.7.1 Client host rejected'] });
+    const probe = createProbe(fake.port);
+
+    const result = await probe.verifyMailbox('jane@example.test', { mxHost: '127.0.0.1' });
+
+    expect(result).toMatchObject({
+      status: 'unknown',
+      subStatus: 'blocked_by_policy',
+      enhancedCode: '5.7.1'
+    });
+  });
+
+  test('a full mailbox is temporary, not a dead address', async () => {
+    fake = await startFakeSmtpServer({ 'full@example.test': ['552 5.2.2 Mailbox full'] });
+    const probe = createProbe(fake.port);
+
+    const result = await probe.verifyMailbox('full@example.test', { mxHost: '127.0.0.1' });
+
+    expect(result).toMatchObject({ status: 'unknown', subStatus: 'mailbox_full' });
+  });
+
+  test('4xx greylisting is retried and the retry result wins', async () => {
+    fake = await startFakeSmtpServer({
+      'jane@example.test': ['451 4.7.1 Greylisted, try again later', '250 2.1.5 OK']
+    });
+    const probe = createProbe(fake.port, { greylistRetries: 1 });
+
+    const result = await probe.verifyMailbox('jane@example.test', { mxHost: '127.0.0.1' });
+
+    expect(fake.attempts.get('jane@example.test')).toBe(2);
+    expect(result).toMatchObject({ status: 'valid', greylisted: false });
+    expect(probe.greylistedMx.has('127.0.0.1')).toBe(false);
+  });
+
+  test('4xx without retries backs the MX off', async () => {
+    fake = await startFakeSmtpServer({ 'jane@example.test': ['451 4.7.1 Greylisted'] });
+    const probe = createProbe(fake.port, { greylistRetries: 0 });
+
+    const first = await probe.verifyMailbox('jane@example.test', { mxHost: '127.0.0.1' });
+    expect(first).toMatchObject({ status: 'unknown', subStatus: 'greylisted', greylisted: true });
+
+    // The second probe doesn't reach the server while the MX is backed off
+    const second = await probe.verifyMailbox('jane@example.test', { mxHost: '127.0.0.1' });
+    expect(second).toMatchObject({ subStatus: 'greylisted', fromBackoff: true });
+    expect(fake.attempts.get('jane@example.test')).toBe(1);
+  });
+
+  test('several recipients share one session', async () => {
+    fake = await startFakeSmtpServer({
+      'a@example.test': ['250 OK'],
+      'b@example.test': ['550 5.1.1 No such user']
+    });
+    const probe = createProbe(fake.port);
+
+    const results = await probe.verifyRecipients(['a@example.test', 'b@example.test'], { mxHost: '127.0.0.1' });
+
+    expect(results.map(r => r.status)).toEqual(['valid', 'invalid']);
+  });
+
+  test('5xx replies about our own session say nothing about the mailbox', async () => {
+    const probe = createProbe(25);
+    const classify = (code, enhancedCode = null) => probe.classifyRcptReply({ code, enhancedCode });
+
+    [500, 501, 503, 530, 554].forEach(code => {
+      expect(classify(code)).toMatchObject({ status: 'unknown', subStatus: 'rejected' });
+    });
+    expect(classify(554, '5.1.1')).toMatchObject({ status: 'invalid', subStatus: 'mailbox_not_found' });
+    expect(classify(553)).toMatchObject({ status: 'invalid', subStatus: 'mailbox_not_found' });
+  });
+
+  test('UTF-8 local parts need SMTPUTF8', async () => {
+    fake = await startFakeSmtpServer({ 'josé@example.test': ['250 OK'] }, { ehlo: ['250 fake.test'] });
+    const probe = createProbe(fake.port);
+
+    const result = await probe.verifyMailbox('josé@example.test', { mxHost: '127.0.0.1' });
+
+    expect(result).toMatchObject({ status: 'invalid', subStatus: 'smtputf8_not_supported' });
+  });
+});
+
+describe('EmailValidationService.performSmtpValidation', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('falls back to basic validation while the MX is backed off', async () => {
+    jest.spyOn(emailValidationService, 'getCatchAllVerdict').mockResolvedValue(false);
+    jest.spyOn(emailValidationService.smtpProbe, 'verifyMailbox').mockResolvedValue({
+      email: 'jane@example.test',
+      mxHost: 'mx.example.test',
+      status: 'unknown',
+      subStatus: 'greylisted',
+      greylisted: true,
+      fromBackoff: true
+    });
+
+    const result = await emailValidationService.performSmtpValidation(
+      'jane@example.test', 'jane@example.test', false, [], null,
+      { hasMxRecords: true, primaryMx: 'mx.example.test', mxRecords: [] }
+    );
+
+    expect(result).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+// src/tests/unit/transliteration.test.js
+import { transliterate, toAscii } from '../../services/validation/transliteration.js';
+import { nameValidationService } from '../../services/validation/name-validation-service.js';
+
+describe('transliterate', () => {
+  test('Cyrillic in BGN/PCGN and ISO 9', () => {
+    expect(transliterate('Щербаков', 'cyrillic', 'bgn')).toBe('shcherbakov');
+    expect(transliterate('Юлия', 'cyrillic', 'bgn')).toBe('yuliya');
+    expect(transliterate('Щербаков', 'cyrillic', 'iso9')).toBe('ŝerbakov');
+  });
+
+  test('Greek in ELOT 743', () => {
+    expect(transliterate('Γιώργος', 'greek')).toBe('giorgos');
+    expect(transliterate('Παπαδόπουλος', 'greek')).toBe('papadopoulos');
+  });
+
+  test('Han in pinyin, with surname readings for family names', () => {
+    expect(transliterate('王小明', 'han')).toBe('wangxiaoming');
+    expect(transliterate('单', 'han', null, { part: 'family' })).toBe('shan');
+    expect(transliterate('单', 'han')).toBe('dan');
+  });
+
+  test('kana in modified Hepburn with long vowels', () => {
+    expect(transliterate('たろう', 'hiragana')).toBe('tarō');
+    expect(transliterate('いのうえ', 'hiragana')).toBe('inoue');
+    expect(transliterate('ケーキ', 'katakana')).toBe('kēki');
+  });
+
+  test('Hangul in Revised Romanization, or customary surname spellings', () => {
+    expect(transliterate('김민준', 'hangul', 'revised')).toBe('gimminjun');
+    expect(transliterate('김', 'hangul', 'customary', { part: 'family' })).toBe('kim');
+    expect(transliterate('이', 'hangul', 'customary', { part: 'family' })).toBe('lee');
+  });
+
+  test('Devanagari in Hunterian and IAST', () => {
+    expect(transliterate('राम', 'devanagari', 'hunterian')).toBe('ram');
+    expect(transliterate('राम', 'devanagari', 'iast')).toBe('rāma');
+  });
+
+  test('scripts without a scheme give null', () => {
+    expect(transliterate('محمد', 'arabic')).toBeNull();
+  });
+
+  test('toAscii drops diacritics and maps letters NFD cannot split', () => {
+    expect(toAscii('Tarō Müller Łukasz')).toBe('Taro Muller Lukasz');
+  });
+});
+
+describe('NameValidationService um_name_latin', () => {
+  beforeAll(() => nameValidationService.loadNormalizationData());
+
+  const latin = (name) => nameValidationService.validateFullName(name, { useCache: false });
+
+  test('romanizes names in supported scripts', async () => {
+    expect(await latin('Иван Петров')).toMatchObject({ um_name_latin: 'Ivan Petrov', transliteration_scheme: 'bgn' });
+    expect(await latin('王小明')).toMatchObject({ um_name_latin: 'Wang Xiaoming', transliteration_scheme: 'pinyin' });
+  });
+
+  test('reports Arabic, Hebrew and Thai names as unsupported', async () => {
+    for (const [name, script] of [['محمد علي', 'arabic'], ['דוד כהן', 'hebrew'], ['สมชาย ใจดี', 'thai']]) {
+      const result = await latin(name);
+      expect(result).toMatchObject({ script, um_name_latin: null, transliteration_scheme: 'unsupported' });
+      expect(result.potentialIssues).toContain(`No offline romanization for ${script} names`);
+    }
+  });
+});